@@ -42,30 +42,58 @@ var Music = Music || {};
 
 	var _library;
 
+	var _callbacks = {};
+	var _forwarded = [ 'beat', 'bar', 'cue' ]; // events passed on from the piece now playing, c.f. Music.on
+	var _forwarders = {};
+	var _listening = null; // the piece whose events are being forwarded
+
 	var lazyShuffleFactory = SonicUtils.thunkify(shuffleFactory),
-		lazyHowlFactory = SonicUtils.thunkify(howlFactory);
+		lazyHowlFactory = SonicUtils.thunkify(howlFactory),
+		lazyManifestFactory = SonicUtils.thunkify(manifestFactory);
 
 	var _stopping_promise;
+	var _request = 0; // increments with each play or stop so that superseded ones are dropped
+
+	/* play
+	 *
+	 * Fades out whatever is playing and starts the piece.
+	 *
+	 * Required:
+	 *   [0] piece: name in the library
+	 *
+	 * Optional:
+	 *   [1] args: 
+	 *       quantize: 'beat', 'bar', or 'section', wait for this boundary 
+	 *           in the current sonic shuffle before fading it out
+	 *
+	 * Return: promise, resolved when the piece starts, 
+	 *   rejected if a later play or stop supersedes it
+	 */
+	Music.play = function (piece, args) {
+		args = args || {};
 
-	Music.play = function (piece) {
 		if (_nowplaying.piece === piece
 			&& _state === 'playing') {
 
+			// keep playing through any pending stop or switch
+			supersede();
+
 			return $.Deferred().resolve();
 		}
 
 		var music = Music.load(piece);
 		var vol = _mute ? 0 : _volume;
 
-		if (_stopping_promise) {
-			_stopping_promise.reject();
-		}
-
-		_stopping_promise = $.Deferred(); // $.when explicitly won't allow external reject/resolves
+		var request = supersede();
+		var stopping = _stopping_promise = $.Deferred(); // $.when explicitly won't allow external reject/resolves
 
-		Music.stop().done(function () { 
-			_stopping_promise.resolve();
-		});
+		fadeOut({ quantize: args.quantize }, request)
+			.done(function () { 
+				stopping.resolve();
+			})
+			.fail(function () {
+				stopping.reject();
+			});
 
 		if (music) {
 			_stopping_promise.done(function () {
@@ -75,6 +103,7 @@ var Music = Music || {};
 				};
 
 				Music.stopNonPlayingTracks();
+				listenTo(music);
 
 				music
 					.cancelFade(_xfadepriority.normal)
@@ -108,7 +137,23 @@ var Music = Music || {};
 		Music.playThemeSet('example', [ 'single_file_example', 'sonic_shuffle_example' ]);
 	};
 
-	Music.playThemeSet = function (theme, pieces) {
+	/* playThemeSet
+	 *
+	 * Plays the pieces one after another in random order, 
+	 * switching every couple of full cycles.
+	 *
+	 * Required:
+	 *   [0] theme: name for the set
+	 *   [1] pieces: [ piece names ]
+	 *
+	 * Optional:
+	 *   [2] args:
+	 *       quantize: 'beat', 'bar', or 'section', begin the fades between
+	 *           pieces at this boundary (c.f. Music.play)
+	 */
+	Music.playThemeSet = function (theme, pieces, args) {
+		args = args || {};
+
 		if (_theme === theme && _state === 'playing') { return; }
 
 		_theme = theme;
@@ -138,27 +183,30 @@ var Music = Music || {};
 						
 						Music.load(next_pick);
 
-						_this
-							.off('finale')
-							.fade({
-								from: _mute ? 0 : _this.volume(),
-								to: 0, 
-								msec: _xfademsec.slow, 
-							})
-							.always(function () {
-								plays = 0;
-								_this.stop();
-
-								// need to check in case the xfade ended as the 
-								// cube was entered.
-								if (_theme === theme) {
-									ply(next_pick);
-								}
-							});
+						_this.off('finale');
+
+						boundary(_this, args.quantize).done(function () {
+							_this
+								.fade({
+									from: _mute ? 0 : _this.volume(),
+									to: 0, 
+									msec: _xfademsec.slow, 
+								})
+								.always(function () {
+									plays = 0;
+									_this.stop();
+
+									// need to check in case the xfade ended as the 
+									// cube was entered.
+									if (_theme === theme) {
+										ply(next_pick);
+									}
+								});
+						});
 					});
 			}
 
-			Music.play(pick).done(function () {
+			Music.play(pick, args).done(function () {
 				_nowplaying.audio.ion('fullcycle', function () {
 					plays++;
 					finalefn.call(this);				
@@ -169,8 +217,57 @@ var Music = Music || {};
 		}
 	};
 
+	/* stop
+	 *
+	 * Optional:
+	 *   [0] args:
+	 *       except: [ tracks ] to leave playing
+	 *       quantize: 'beat', 'bar', or 'section', wait for this boundary 
+	 *           in the current sonic shuffle before fading it out. Until then
+	 *           the piece still counts as playing, and a later play or stop
+	 *           takes precedence over this one.
+	 *
+	 * Return: promise, resolved once the music has faded out, 
+	 *   rejected if superseded
+	 */
 	Music.stop = function (args) {
+		var request = supersede();
+
+		return fadeOut(args, request, function () {
+			_state = 'stopped';
+		});
+	};
+
+	// Drops any play or stop still waiting on its quantize boundary
+	// (c.f. fadeOut) and returns the token for the one replacing them.
+	function supersede () {
+		if (_stopping_promise) {
+			_stopping_promise.reject();
+			_stopping_promise = null;
+		}
+
+		return ++_request;
+	}
+
+	/* fadeOut
+	 *
+	 * Fades out the piece now playing, once the quantize boundary 
+	 * is reached, along with any other tracks still sounding.
+	 *
+	 * Required:
+	 *   [0] args: as in Music.stop
+	 *   [1] request: _request at the time of the call. If another play 
+	 *       or stop comes in before the boundary, this one is dropped.
+	 *
+	 * Optional:
+	 *   [2] onstop: called when the fade begins
+	 *
+	 * Return: promise, resolved once the music has faded out, 
+	 *   rejected if superseded
+	 */
+	function fadeOut (args, request, onstop) {
 		args = args || {};
+		onstop = onstop || function () {};
 
 		var music = _nowplaying.audio;
 		var except = args.except || [];
@@ -180,25 +277,44 @@ var Music = Music || {};
 		if (music && except.indexOf(music) === -1) {
 			var vol = _mute ? 0 : _volume;
 
-			nowplaying_promise = music.fade({
-				from: vol, 
-				to: 0, 
-				msec: _xfademsec.fast,
-				priority: _xfadepriority.medium,
-			})
-			.always(function () {
-				music.stop();
+			nowplaying_promise = $.Deferred();
+
+			boundary(music, args.quantize).done(function () {
+				if (request !== _request) {
+					nowplaying_promise.reject();
+					return;
+				}
+
+				listenTo(null);
+				onstop();
+
+				music.fade({
+					from: vol, 
+					to: 0, 
+					msec: _xfademsec.fast,
+					priority: _xfadepriority.medium,
+				})
+				.always(function () {
+					music.stop();
+				})
+				.done(function () {
+					nowplaying_promise.resolve();
+				})
+				.fail(function () {
+					nowplaying_promise.reject();
+				});
 			});
 		}
+		else {
+			onstop();
+		}
 
 		var others_promise = Music.stopNonPlayingTracks(args);
 
 		nowplaying_promise = nowplaying_promise || $.Deferred().resolve();
 
-		_state = 'stopped';
-
 		return $.when(nowplaying_promise, others_promise);
-	};
+	}
 
 	Music.stopNonPlayingTracks = function (args) {
 		args = args || {};
@@ -355,9 +471,185 @@ var Music = Music || {};
 		return _volume;
 	};
 
+	/* saveState
+	 *
+	 * Persists the currently playing piece and, for sonic shuffles, 
+	 * its full playback state into the preferences so that 
+	 * restoreState can resume it after a reload.
+	 *
+	 * Return: the saved object or null if nothing is playing
+	 */
+	Music.saveState = function () {
+		if (!_prefs) {
+			return null;
+		}
+
+		var music = _nowplaying.audio;
+
+		var saved = null;
+
+		if (music && (_state === 'playing' || _state === 'paused')) {
+			saved = {
+				piece: _nowplaying.piece,
+				shuffle: music.serialize 
+					? music.serialize() 
+					: null,
+			};
+		}
+
+		_prefs.set('music_state', saved);
+
+		return saved;
+	};
+
+	/* restoreState
+	 *
+	 * Resumes the piece saved by saveState, picking a sonic shuffle
+	 * back up at the section it left off on.
+	 *
+	 * Return: promise as in Music.play, rejected if there was nothing to restore
+	 */
+	Music.restoreState = function () {
+		var saved = _prefs && _prefs.get('music_state');
+
+		if (!saved || !_library[saved.piece]) {
+			return $.Deferred().reject();
+		}
+
+		var music = Music.load(saved.piece);
+
+		// Music owns muting, c.f. Music.mute
+		if (saved.shuffle && music.restore) {
+			music.restore($.extend({}, saved.shuffle, { muted: _mute }));
+		}
+
+		return Music.play(saved.piece);
+	};
+
+	/* on
+	 *
+	 * Listen for events from whichever piece is currently 
+	 * playing: "beat", "bar", and "cue" (c.f. SonicShuffle).
+	 *
+	 * Required:
+	 *   [0] action: event name
+	 *   [1] fn: callback, receives the piece's event arguments
+	 *
+	 * Return: Music
+	 */
+	Music.on = function (action, fn) {
+		_callbacks[action] = _callbacks[action] || [];
+		_callbacks[action].push(fn);
+
+		return Music;
+	};
+
+	/* off
+	 *
+	 * Required:
+	 *   [0] action: event name
+	 *
+	 * Optional:
+	 *   [1] fn: remove only this callback
+	 *
+	 * Return: Music
+	 */
+	Music.off = function (action, fn) {
+		if (!_callbacks[action]) {
+			return Music;
+		}
+
+		_callbacks[action] = fn
+			? _callbacks[action].filter(function (cb) { return cb !== fn; })
+			: [];
+
+		return Music;
+	};
+
+	/* loadManifest
+	 *
+	 * Adds the pieces described by a manifest to the library, 
+	 * replacing any with the same name. For example:
+	 *
+	 * {
+	 *   pieces: {
+	 *     menu: { 
+	 *       title: "Song Name #1", 
+	 *       url: "/url/to/song.ogg", // a single file
+	 *     },
+	 *     ideas: {
+	 *       title: "Song Name #2",
+	 *       url: "/url/to/song/directory/", // holds intro.ogg, a1.ogg, a2.ogg, ... b1.ogg, ...
+	 *       sets: 3, // A, B, C
+	 *       sections_per_set: 3,
+	 *       bpm: 116,
+	 *       bars_intro: 16,
+	 *       bars: [ [ 24, 16, 24 ], [ 16, 16.25, 32 ], [ 24, 16, 8.25 ] ],
+	 *       end: 'cycle',
+	 *       finale: 'slow', // msec or one of 'very_fast', 'fast', 'slow'
+	 *       lazy: false, // load now rather than when first played (default true)
+	 *     },
+	 *   },
+	 * }
+	 *
+	 * Shuffles accept any other SonicShuffle option (overlaps, weights, form, etc).
+	 * sections_per_set may be a list if the section sets differ in size, and 
+	 * naming changes how the files are named (c.f. shuffleFactory). 
+	 * Instead of sets and sections_per_set, sections may list the files 
+	 * (c.f. SonicShuffle), relative to url if given, in which case there's 
+	 * only an intro if it's given as a url. Otherwise intro may be false to 
+	 * leave out intro.ogg.
+	 *
+	 * The manifest is checked with SonicManifest.validate first. Problems 
+	 * are logged and the pieces they occur in are left out.
+	 *
+	 * Required:
+	 *   [0] manifest: obj or JSON string
+	 *
+	 * Return: [ names of the pieces added ]
+	 */
+	Music.loadManifest = function (manifest) {
+		if (typeof manifest === 'string') {
+			manifest = JSON.parse(manifest);
+		}
+
+		manifest = manifest || {};
+
+		var errors = SonicManifest.errorsAt(SonicManifest.validate(manifest), 'pieces');
+		errors.forEach(function (error) {
+			console.error("Music manifest: " + error);
+		});
+
+		var pieces = manifest.pieces || {};
+
+		_library = _library || {};
+
+		var names = Object.keys(pieces).filter(function (piece) {
+			return SonicManifest.errorsAt(errors, 'pieces.' + piece).length === 0;
+		});
+
+		names.forEach(function (piece) {
+			_library[piece] = lazyManifestFactory(piece, pieces[piece]);
+
+			if (pieces[piece].lazy === false) {
+				Music.load(piece);
+			}
+		});
+
+		return names;
+	};
+
 	// necessary to avoid order of loading dependencies
 	Music.initialize = function (prefs) {
-		_library = initializeLibrary();
+		var examples = initializeLibrary();
+
+		// keep anything loaded from a manifest beforehand
+		_library = _library || {};
+		Object.keys(examples).forEach(function (piece) {
+			if (!_library[piece]) {
+				_library[piece] = examples[piece];
+			}
+		});
 		
 		_prefs = prefs;
 
@@ -372,6 +664,54 @@ var Music = Music || {};
 		window.Music = Music;
 	};
 
+	// Resolves at the next musical boundary of the piece if it 
+	// supports quantizing (c.f. SonicShuffle.nextBoundary), else immediately.
+	function boundary (audio, quantize) {
+		if (quantize && audio.nextBoundary) {
+			return audio.nextBoundary(quantize);
+		}
+
+		return $.Deferred().resolve();
+	}
+
+	function trigger (action) {
+		var args = Array.prototype.slice.call(arguments, 1);
+
+		(_callbacks[action] || []).slice().forEach(function (fn) {
+			fn.apply(Music, args);
+		});
+	}
+
+	// Forward events from audio to Music's listeners, 
+	// detaching from the previous piece. null just detaches.
+	// Only sonic shuffles emit these events, plain howls 
+	// would throw on unknown event names.
+	function listenTo (audio) {
+		if (!(audio instanceof Music.SonicShuffle)) {
+			audio = null;
+		}
+
+		if (_listening === audio) {
+			return;
+		}
+
+		_forwarded.forEach(function (action) {
+			_forwarders[action] = _forwarders[action] || function () {
+				trigger.apply(null, [ action ].concat(Array.prototype.slice.call(arguments)));
+			};
+
+			if (_listening) {
+				_listening.off(action, _forwarders[action]);
+			}
+
+			if (audio) {
+				audio.on(action, _forwarders[action]);
+			}
+		});
+
+		_listening = audio;
+	}
+
 	function forEachTrack (fn) {
 		Object.keys(_library).forEach(function (piece) {
 			if (typeof _library[piece] !== 'function') {
@@ -388,14 +728,20 @@ var Music = Music || {};
 		// will overlap with the next piece.
 		//
 		// - William Silversmith, Jun. 29, 2015
+		//
+		// They're given in bars now, SonicShuffle works out the msec from the tempo
+		// e.g. 24 bars at 116 bpm in 4/4 = 49655 msec. The old way of giving
+		// msec directly still works if intro and rest are provided without a bpm.
 
 		var overlaptimings = {
 			sonic_shuffle_example: {
-				intro: 33103,
+				bpm: 116,
+				beatsPerBar: 4,
+				intro: 16,
 				rest: [
-					[ 49655, 33103, 49655 ],
-					[ 33103, 33621, 66207 ],
-					[ 49655, 33103, 17069 ]
+					[ 24, 16, 24 ],
+					[ 16, 16.25, 32 ],
+					[ 24, 16, 8.25 ]
 				],
 			},
 		};
@@ -408,39 +754,139 @@ var Music = Music || {};
 		return lib;
 	}
 
-	function shuffleFactory(title, baseurl, num_section_sets, num_sections, overlaptimings) {
-		baseurl = baseurl.replace(/\/$/, '') + '/';
+	// Makes a piece from its manifest entry, c.f. Music.loadManifest
+	function manifestFactory (piece, entry) {
+		var title = entry.title || piece;
+
+		var shuffle = entry.sets || entry.sections_per_set || Array.isArray(entry.sections);
+
+		if (!shuffle) {
+			return howlFactory(title, entry.url);
+		}
+
+		var options = {};
+
+		Object.keys(entry).forEach(function (key) {
+			if ([ 'title', 'url', 'sets', 'sections_per_set', 'lazy' ].indexOf(key) === -1) {
+				options[key] = entry[key];
+			}
+		});
+
+		if (typeof options.finale === 'string') {
+			options.finale = _xfademsec[options.finale];
+		}
+
+		if (Array.isArray(entry.sections) && options.intro === undefined) {
+			options.intro = false;
+		}
+
+		var sets = entry.sets || (Array.isArray(entry.sections_per_set) ? entry.sections_per_set.length : 0);
+
+		return shuffleFactory(title, entry.url || '', sets, entry.sections_per_set || 0, null, options);
+	}
+
+	/* shuffleFactory
+	 *
+	 * Makes a sonic shuffle out of a directory containing intro.ogg 
+	 * and the sections a1.ogg, a2.ogg, ... b1.ogg, ...
+	 *
+	 * Other naming schemes can be given as options.naming:
+	 *
+	 *   naming: {
+	 *     section: '{SET}_{index:2}.{ext}', // e.g. A_01.mp3, default '{set}{index}.{ext}'
+	 *     intro: 'intro.{ext}', // the default
+	 *     ext: 'mp3', // default 'ogg'
+	 *   }
+	 *
+	 * {set} and {SET} are the set's letter in lower and upper case, {setindex} 
+	 * counts sets from 1, {index} counts sections from 1, and a width 
+	 * zero pads a number, e.g. {index:2}. If options.sections lists the 
+	 * files, any relative paths are taken to be within baseurl.
+	 *
+	 * Required:
+	 *   [0] title
+	 *   [1] baseurl: the directory
+	 *   [2] num_section_sets
+	 *   [3] num_sections: per set, or [ count for each set ] if they differ
+	 *
+	 * Optional:
+	 *   [4] overlaptimings: { intro, rest } in msec, or in bars if bpm and beatsPerBar are included
+	 *   [5] options: SonicShuffle arguments that override the defaults here, plus naming
+	 *
+	 * Return: Music.SonicShuffle
+	 */
+	function shuffleFactory(title, baseurl, num_section_sets, num_sections, overlaptimings, options) {
+		baseurl = baseurl ? baseurl.replace(/\/$/, '') + '/' : '';
 		overlaptimings = overlaptimings || { intro: null, rest: null };
+		options = options || {};
 
-		var sections = [];
+		var naming = options.naming || {};
+		var ext = naming.ext || 'ogg';
 
-		var offset_a = 'a'.charCodeAt(0);
+		var inbars = !!overlaptimings.bpm;
+
+		var sections = [];
 
 		for (var i = 0; i < num_section_sets; i++) {
 			var sset = [];
-			for (var j = 1; j <= num_sections; j++) {
-				var letter = String.fromCharCode(i + offset_a);
+			var count = Array.isArray(num_sections) ? num_sections[i] : num_sections;
 
+			for (var j = 0; j < count; j++) {
 				sset.push(
-					baseurl + letter + j + '.ogg'
+					baseurl + sectionFilename(naming.section || '{set}{index}.{ext}', i, j, ext)
 				);
 			}
 
 			sections.push(sset);
 		}
 
-		var shuffle = new Music.SonicShuffle({
+		var introurl = baseurl + sectionFilename(naming.intro || 'intro.{ext}', null, null, ext);
+
+		var args = {
 			title: title,
-			intro: baseurl + 'intro.ogg',
+			intro: introurl,
 			sections: sections,
 			volume: _volume,
-			overlap_intro: overlaptimings.intro,
-			overlaps: overlaptimings.rest,
+			bpm: overlaptimings.bpm,
+			beatsPerBar: overlaptimings.beatsPerBar,
+			overlap_intro: inbars ? null : overlaptimings.intro,
+			overlaps: inbars ? null : overlaptimings.rest,
+			bars_intro: inbars ? overlaptimings.intro : null,
+			bars: inbars ? overlaptimings.rest : null,
 			end: 'cycle',
 			end_stop: false,
 			finale: _xfademsec.slow,
+		};
+
+		Object.keys(options).forEach(function (key) {
+			if (key !== 'naming') {
+				args[key] = options[key];
+			}
 		});
 
+		if (args.intro === true) {
+			args.intro = introurl;
+		}
+		else if (args.intro === false) {
+			args.intro = null;
+		}
+
+		if (options.sections) {
+			args.sections = options.sections.map(function (sset) {
+				return sset.map(function (source) {
+					return Array.isArray(source)
+						? source.map(function (url) { return withinBase(baseurl, url); })
+						: withinBase(baseurl, source);
+				});
+			});
+		}
+
+		if (typeof args.intro === 'string') {
+			args.intro = withinBase(baseurl, args.intro);
+		}
+
+		var shuffle = new Music.SonicShuffle(args);
+
 		// NOTE: You can remove these debugging statements
 
 		// var offset_A = 'A'.charCodeAt(0);
@@ -466,6 +912,53 @@ var Music = Music || {};
 		return shuffle;
 	}
 
+	/* sectionFilename
+	 *
+	 * Fills in a naming template, c.f. shuffleFactory.
+	 *
+	 * Required:
+	 *   [0] template: e.g. '{set}{index}.{ext}'
+	 *   [1] sectionset: index or null for the intro
+	 *   [2] section: index or null for the intro
+	 *   [3] ext: e.g. 'ogg'
+	 *
+	 * Return: filename e.g. 'a1.ogg'
+	 */
+	function sectionFilename (template, sectionset, section, ext) {
+		var letter = sectionset === null 
+			? '' 
+			: String.fromCharCode('a'.charCodeAt(0) + sectionset);
+
+		var pad = function (n, width) {
+			n = String(n);
+			while (n.length < (width || 0)) {
+				n = '0' + n;
+			}
+			return n;
+		};
+
+		return template.replace(/\{(set|SET|setindex|index|ext)(?::(\d+))?\}/g, function (match, key, width) {
+			width = parseInt(width, 10);
+
+			switch (key) {
+				case 'set': return letter;
+				case 'SET': return letter.toUpperCase();
+				case 'setindex': return sectionset === null ? '' : pad(sectionset + 1, width);
+				case 'index': return section === null ? '' : pad(section + 1, width);
+				case 'ext': return ext;
+			}
+		});
+	}
+
+	// Relative paths are taken to be within baseurl
+	function withinBase (baseurl, url) {
+		if (!baseurl || /^(\/|[a-z]+:)/i.test(url) || url.indexOf(baseurl) === 0) {
+			return url;
+		}
+
+		return baseurl + url;
+	}
+
 	function howlFactory (title, url) {
 		// wav - IE
 		var ogg = url.replace(/wav$/, 'ogg'); // Chrome, Firefox
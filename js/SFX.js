@@ -225,6 +225,92 @@ var SFX = SFX || {};
 		return SFX.mute(false);
 	};
 
+	/* loadManifest
+	 *
+	 * Adds the effects described by a manifest to the library,
+	 * replacing any with the same name. For example:
+	 *
+	 * {
+	 *   sfx: {
+	 *     click: { url: 'url/to/sfx/click.ogg' },
+	 *     cube_rotate: { type: 'random', url: 'url/to/sfx/rotate{i}.ogg', count: 6, lazy: false },
+	 *     chime: { type: 'chime', url: 'url/to/chime/chime{i}.ogg', seed: 'abc' },
+	 *   },
+	 *   chime_tiers: {
+	 *     ideas: [ // music piece name
+	 *       { relfreq: 1, fx: [ 5 ] }, // relative frequency of chime 5 while ideas plays
+	 *       { relfreq: 0.85, fx: [ 3, 4 ] },
+	 *     ],
+	 *   },
+	 * }
+	 *
+	 * Types are 'single' (default), 'random', and 'chime'. Effects are lazy 
+	 * loaded on first play unless lazy is false. The same manifest may also
+	 * describe the music (c.f. Music.loadManifest).
+	 *
+	 * Problems found by SonicManifest.validate are logged and the 
+	 * effects and tiers they occur in are left out.
+	 *
+	 * Required:
+	 *   [0] manifest: obj or JSON string
+	 *
+	 * Return: [ names of the effects added ]
+	 */
+	SFX.loadManifest = function (manifest) {
+		if (typeof manifest === 'string') {
+			manifest = JSON.parse(manifest);
+		}
+
+		manifest = manifest || {};
+
+		var errors = SonicManifest.validate(manifest).filter(function (error) {
+			return SonicManifest.errorsAt([ error ], 'sfx').length 
+				|| SonicManifest.errorsAt([ error ], 'chime_tiers').length;
+		});
+
+		errors.forEach(function (error) {
+			console.error("SFX manifest: " + error);
+		});
+
+		var effects = manifest.sfx || {};
+		var tiers = manifest.chime_tiers || {};
+
+		var valid = function (path) {
+			return SonicManifest.errorsAt(errors, path).length === 0;
+		};
+
+		var names = Object.keys(effects).filter(function (name) {
+			return valid('sfx.' + name);
+		});
+
+		names.forEach(function (name) {
+			var entry = effects[name];
+			var type = entry.type || 'single';
+
+			if (type === 'random') {
+				_library[name] = lazyRandomSFXFactory(entry.url, entry.count, entry.seed);
+			}
+			else if (type === 'chime') {
+				_library[name] = lazyChimeSFXFactory(entry.url, entry.seed);
+			}
+			else {
+				_library[name] = lazyHowlFactory(entry.url);
+			}
+
+			if (entry.lazy === false) {
+				SFX.load(name);
+			}
+		});
+
+		Object.keys(tiers).forEach(function (piece) {
+			if (valid('chime_tiers.' + piece)) {
+				_frequency_tiers[piece] = tiers[piece];
+			}
+		});
+
+		return names;
+	};
+
 	// necessary to avoid order of loading dependencies
 	SFX.initialize = function (prefs) {
 		_prefs = prefs;
@@ -268,13 +354,15 @@ var SFX = SFX || {};
 	 * Optional:
 	 *   [1] repeat_multiplier: Can provide a frequency multipler to decrease or increase the 
 	 *		likelihood that an SFX will be played again right after it plays.
+	 *   [2] seed: integer or string, makes the selection sequence reproducible
 	 *
-	 * Return: obj implementing play, pause, stop, volume, mute, unmute
+	 * Return: obj implementing play, pause, stop, volume, mute, unmute, randomState
 	 */
-	function randomSFX (urls, repeat_multiplier) {
+	function randomSFX (urls, repeat_multiplier, seed) {
 		var obj = new function () {};
 
 		obj.repeat_multiplier = SonicUtils.nvl(repeat_multiplier, 1);
+		obj.rng = SonicUtils.seeded_random(seed);
 
 		obj.tracks = urls.map(function (url) {
 			return howlFactory(url);
@@ -294,10 +382,21 @@ var SFX = SFX || {};
 				freqs[repeat_idx] *= this.repeat_multiplier;
 			}
 
-			var next_index = SonicUtils.biased_random_index(freqs);
+			var next_index = SonicUtils.biased_random_index(freqs, this.rng);
 			return this.tracks[next_index];
 		};
 
+		// c.f. Music.SonicShuffle.prototype.randomState
+		obj.randomState = function (state) {
+			if (state === undefined || state === null) {
+				return this.rng.getState();
+			}
+
+			this.rng.setState(state);
+
+			return this;
+		};
+
 		obj.pause = function () {
 			if (!this.playing) { return; }
 			this.playing.pause();
@@ -332,7 +431,7 @@ var SFX = SFX || {};
 		return obj;
 	}
 
-	function randomSFXFactory (base_url, N) {
+	function randomSFXFactory (base_url, N, seed) {
 		N = N || 6;
 
 		var urls = [];
@@ -342,11 +441,11 @@ var SFX = SFX || {};
 			);
 		}
 
-		return randomSFX(urls, 0.1);
+		return randomSFX(urls, 0.1, seed);
 	}
 
-	function chimeSFXFactory (base_url) {
-		var sfx = randomSFXFactory(base_url);
+	function chimeSFXFactory (base_url, seed) {
+		var sfx = randomSFXFactory(base_url, null, seed);
 
 		var super_next = sfx.next;
 
@@ -381,7 +480,7 @@ var SFX = SFX || {};
 				track_weights[repeat_idx] *= sfx.repeat_multiplier;
 			}
 
-			var next_index = SonicUtils.biased_random_index(track_weights);
+			var next_index = SonicUtils.biased_random_index(track_weights, sfx.rng);
 			return sfx.tracks[next_index];
 		};
 
@@ -0,0 +1,154 @@
+/* SonicClock.js
+ *
+ * Drift-free scheduling of callbacks against the Web Audio clock 
+ * (AudioContext.currentTime) rather than the main thread's timers, 
+ * which drift by tens of milliseconds whenever the page is busy.
+ *
+ * A coarse pump polls the audio clock and, once an event is within the
+ * lookahead window, arms a short timer for the remainder. Callbacks are
+ * told how late they ran according to the audio clock.
+ *
+ * This is not sample accurate. The callbacks still run on the main thread,
+ * and Howler can't start a sound at a future time on the audio clock, so
+ * anything they start may begin a few msec late under load. What it does
+ * provide is a schedule that doesn't drift: events are placed by the audio
+ * clock, so one late callback doesn't push back the ones after it.
+ *
+ * Falls back to window.performance.now when Web Audio isn't available.
+ */
+
+var SonicClock = SonicClock || {};
+
+(function (undefined) {
+	"use strict";
+
+	SonicClock.interval = 25; // msec between polls of the audio clock
+	SonicClock.lookahead = 100; // msec, arm a precise timer for events this close
+
+	var _events = []; // sorted by .at
+	var _pump = null;
+
+	/* now
+	 *
+	 * Return: msec on the audio clock
+	 */
+	SonicClock.now = function () {
+		if (typeof Howler !== 'undefined' && Howler.ctx) {
+			return Howler.ctx.currentTime * 1000;
+		}
+
+		return window.performance.now();
+	};
+
+	/* at
+	 *
+	 * Run a function once the audio clock reaches a given time.
+	 *
+	 * Required:
+	 *   [0] msec: time on the audio clock (c.f. SonicClock.now)
+	 *   [1] fn: function (late), late is how many msec after msec it ran
+	 *
+	 * Return: event handle for SonicClock.cancel
+	 */
+	SonicClock.at = function (msec, fn) {
+		var evt = {
+			at: msec,
+			fn: fn,
+			timeout: null,
+		};
+
+		var i = 0;
+		while (i < _events.length && _events[i].at <= msec) {
+			i++;
+		}
+
+		_events.splice(i, 0, evt);
+
+		poll();
+
+		return evt;
+	};
+
+	/* after
+	 *
+	 * Same as SonicClock.at, but relative to now.
+	 *
+	 * Required:
+	 *   [0] msec: delay
+	 *   [1] fn: function (late)
+	 *
+	 * Return: event handle for SonicClock.cancel
+	 */
+	SonicClock.after = function (msec, fn) {
+		return SonicClock.at(SonicClock.now() + msec, fn);
+	};
+
+	/* cancel
+	 *
+	 * Required:
+	 *   [0] evt: handle returned by at or after, or an array of them
+	 *
+	 * Return: void
+	 */
+	SonicClock.cancel = function (evt) {
+		if (Array.isArray(evt)) {
+			evt.forEach(SonicClock.cancel);
+			return;
+		}
+		else if (!evt) {
+			return;
+		}
+
+		clearTimeout(evt.timeout);
+		evt.timeout = null;
+
+		var index = _events.indexOf(evt);
+		if (index !== -1) {
+			_events.splice(index, 1);
+		}
+
+		if (_events.length === 0) {
+			clearInterval(_pump);
+			_pump = null;
+		}
+	};
+
+	function poll () {
+		var now = SonicClock.now();
+
+		var evt;
+		for (var i = 0; i < _events.length; i++) {
+			evt = _events[i];
+
+			if (evt.at - now > SonicClock.lookahead) {
+				break;
+			}
+			else if (evt.timeout === null) {
+				arm(evt, evt.at - now);
+			}
+		}
+
+		if (_events.length && _pump === null) {
+			_pump = setInterval(poll, SonicClock.interval);
+		}
+		else if (_events.length === 0 && _pump !== null) {
+			clearInterval(_pump);
+			_pump = null;
+		}
+	}
+
+	function arm (evt, msec) {
+		evt.timeout = setTimeout(function () {
+			var late = SonicClock.now() - evt.at;
+
+			// main thread timers can run ahead of the audio clock
+			if (late < 0) {
+				arm(evt, -late);
+				return;
+			}
+
+			SonicClock.cancel(evt);
+			evt.fn(late);
+		}, Math.max(msec, 0));
+	}
+})();
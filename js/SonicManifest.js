@@ -0,0 +1,706 @@
+/* SonicManifest.js
+ *
+ * Checks manifests (c.f. Music.loadManifest and SFX.loadManifest)
+ * and SonicShuffle configurations for mistakes that would otherwise
+ * fail silently, such as an overlaps matrix that doesn't match the
+ * sections or a misspelled end mode.
+ *
+ * Every problem is reported with the path to it, e.g.
+ *
+ *    pieces.ideas.overlaps[1][2]: expected number
+ *
+ * The loaders run these automatically, but they can also be used
+ * on their own, e.g. as part of a build.
+ */
+
+var SonicManifest = SonicManifest || {};
+
+(function (undefined) {
+	"use strict";
+
+	var END_MODES = [ 'section', 'cycle', 'fullcycle', 'cycles', 'duration', 'loop' ];
+	var SFX_TYPES = [ 'single', 'random', 'chime' ];
+	var TRANSITION_TYPES = [ 'overlap', 'crossfade' ];
+	var MANIFEST_KEYS = [ 'pieces', 'sfx', 'chime_tiers' ];
+	var FADE_SPEEDS = [ 'very_fast', 'fast', 'slow' ]; // c.f. _xfademsec in Music.js
+
+	// c.f. Music.SonicShuffle
+	var SHUFFLE_KEYS = [
+		'title', 'sections', 'intro', 'outro', 'volume', 'intensity', 'stem_intensities', 'seed',
+		'bpm', 'beatsPerBar', 'overlaps', 'bars', 'overlap_intro', 'bars_intro', 'overlap_outro', 'bars_outro',
+		'finale', 'bars_finale', 'weights', 'forbidden', 'preferred', 'tags', 'cues', 'trims', 'mood',
+		'transition', 'section_transitions', 'form', 'graph', 'lookahead', 'end', 'end_stop', 'cycles', 'duration',
+	];
+
+	var PIECE_KEYS = [ 'title', 'url', 'lazy' ]; // single files, c.f. Music.loadManifest
+	var SHUFFLE_PIECE_KEYS = [ 'url', 'lazy', 'naming', 'sets', 'sections_per_set' ]; // on top of SHUFFLE_KEYS
+	var SFX_KEYS = [ 'type', 'url', 'lazy', 'count', 'seed' ];
+
+	/* validate
+	 *
+	 * Required:
+	 *   [0] manifest: obj or JSON string with pieces, sfx, and/or chime_tiers
+	 *
+	 * Return: [ error strings ], empty if the manifest is valid
+	 */
+	SonicManifest.validate = function (manifest) {
+		var errors = [];
+
+		if (typeof manifest === 'string') {
+			try {
+				manifest = JSON.parse(manifest);
+			}
+			catch (e) {
+				return [ "manifest: invalid JSON (" + e.message + ")" ];
+			}
+		}
+
+		if (!isObject(manifest)) {
+			return [ "manifest: expected object" ];
+		}
+
+		// a misnamed key would otherwise leave its contents unchecked and unloaded
+		Object.keys(manifest).forEach(function (key) {
+			check(errors, key, MANIFEST_KEYS.indexOf(key) !== -1, "unknown key, expected one of " + MANIFEST_KEYS.join(', '));
+		});
+
+		forEachEntry(manifest, 'pieces', errors, function (entry, path) {
+			errors.push.apply(errors, SonicManifest.validatePiece(entry, path));
+		});
+
+		forEachEntry(manifest, 'sfx', errors, function (entry, path) {
+			errors.push.apply(errors, SonicManifest.validateSFX(entry, path));
+		});
+
+		forEachEntry(manifest, 'chime_tiers', errors, function (tiers, path) {
+			if (!Array.isArray(tiers)) {
+				errors.push(path + ": expected array");
+				return;
+			}
+
+			tiers.forEach(function (tier, i) {
+				var tierpath = path + '[' + i + ']';
+
+				if (!isObject(tier)) {
+					errors.push(tierpath + ": expected object");
+					return;
+				}
+
+				check(errors, tierpath + '.relfreq', isNumber(tier.relfreq) && tier.relfreq >= 0, "expected non-negative number");
+
+				if (!Array.isArray(tier.fx)) {
+					errors.push(tierpath + ".fx: expected array");
+					return;
+				}
+
+				tier.fx.forEach(function (track, j) {
+					check(errors, tierpath + '.fx[' + j + ']', isInteger(track) && track >= 1, "expected track number (counting from 1)");
+				});
+			});
+		});
+
+		return errors;
+	};
+
+	/* errorsAt
+	 *
+	 * Picks out the errors at or beneath a path.
+	 *
+	 * Required:
+	 *   [0] errors: [ error strings ] from validate
+	 *   [1] path: e.g. 'pieces' or 'pieces.ideas'
+	 *
+	 * Return: [ error strings ]
+	 */
+	SonicManifest.errorsAt = function (errors, path) {
+		return errors.filter(function (error) {
+			return error.indexOf(path + ':') === 0 
+				|| error.indexOf(path + '.') === 0
+				|| error.indexOf(path + '[') === 0;
+		});
+	};
+
+	/* validatePiece
+	 *
+	 * Checks a music manifest entry, either a single file or
+	 * a sonic shuffle, c.f. Music.loadManifest.
+	 *
+	 * Required:
+	 *   [0] entry: obj
+	 *
+	 * Optional:
+	 *   [1] path: prefix for errors e.g. 'pieces.ideas'
+	 *
+	 * Return: [ error strings ]
+	 */
+	SonicManifest.validatePiece = function (entry, path) {
+		path = path || 'piece';
+
+		if (!isObject(entry)) {
+			return [ path + ": expected object" ];
+		}
+
+		var errors = [];
+
+		check(errors, path + '.title', entry.title === undefined || isString(entry.title), "expected string");
+		check(errors, path + '.lazy', entry.lazy === undefined || typeof entry.lazy === 'boolean', "expected boolean");
+
+		var explicit = entry.sections !== undefined;
+		var shuffle = explicit || entry.sets !== undefined || entry.sections_per_set !== undefined;
+
+		if (!shuffle) {
+			checkKeys(errors, entry, PIECE_KEYS, path);
+			check(errors, path + '.url', isString(entry.url) && entry.url.length > 0, "expected url of the music file");
+			return errors;
+		}
+
+		validateNaming(entry.naming, path + '.naming', errors);
+
+		// the rest are passed on to the shuffle, c.f. manifestFactory in Music.js
+		var options = {};
+		Object.keys(entry).forEach(function (key) {
+			if (SHUFFLE_PIECE_KEYS.indexOf(key) === -1) {
+				options[key] = entry[key];
+			}
+		});
+
+		if (explicit) {
+			return errors.concat(
+				SonicManifest.validateShuffle(options, path)
+			);
+		}
+
+		var counts = entry.sections_per_set;
+		var sets = entry.sets === undefined && Array.isArray(counts) 
+			? counts.length 
+			: entry.sets;
+
+		var problems = errors.length;
+
+		check(errors, path + '.url', isString(entry.url), "expected url of the directory holding the sections");
+		check(errors, path + '.sets', isInteger(sets) && sets > 0, "expected positive integer");
+		check(errors, path + '.intro', entry.intro === undefined || typeof entry.intro === 'boolean' || isString(entry.intro), "expected boolean or url");
+
+		if (Array.isArray(counts)) {
+			check(errors, path + '.sections_per_set', counts.length === sets, "expected a count for each of the " + sets + " section sets");
+
+			counts.forEach(function (count, i) {
+				check(errors, path + '.sections_per_set[' + i + ']', isInteger(count) && count > 0, "expected positive integer");
+			});
+		}
+		else {
+			check(errors, path + '.sections_per_set', isInteger(counts) && counts > 0, "expected positive integer or array of them");
+		}
+
+		if (errors.length > problems) {
+			return errors;
+		}
+
+		var shape = [];
+		for (var i = 0; i < sets; i++) {
+			shape.push(Array.isArray(counts) ? counts[i] : counts);
+		}
+
+		return errors.concat(
+			SonicManifest.validateShuffle(options, path, shape)
+		);
+	};
+
+	/* validateShuffle
+	 *
+	 * Checks the arguments to Music.SonicShuffle.
+	 *
+	 * Required:
+	 *   [0] args: obj
+	 *
+	 * Optional:
+	 *   [1] path: prefix for errors
+	 *   [2] shape: [ number of sections in each set ] if args.sections
+	 *       isn't given (as in a manifest)
+	 *
+	 * Return: [ error strings ]
+	 */
+	SonicManifest.validateShuffle = function (args, path, shape) {
+		path = path || 'shuffle';
+
+		if (!isObject(args)) {
+			return [ path + ": expected object" ];
+		}
+
+		var errors = [];
+
+		checkKeys(errors, args, SHUFFLE_KEYS, path);
+
+		// manifests that name sections by pattern have an intro.ogg unless told otherwise
+		var hasintro = shape 
+			? args.intro !== false && args.intro !== null
+			: args.intro !== undefined && args.intro !== null && args.intro !== false;
+
+		if (args.intro !== undefined && args.intro !== null && typeof args.intro !== 'boolean') {
+			validateSource(args.intro, path + '.intro', errors);
+		}
+
+		[ 'overlap_intro', 'bars_intro' ].forEach(function (key) {
+			if (args[key] !== undefined && args[key] !== null && !hasintro) {
+				errors.push(path + '.intro: required when ' + key + ' is given');
+			}
+		});
+
+		if (args.outro !== undefined && args.outro !== null) {
+			[].concat(args.outro).forEach(function (url, i) {
+				check(errors, path + '.outro' + (Array.isArray(args.outro) ? '[' + i + ']' : ''), isString(url), "expected url");
+			});
+		}
+		else if (args.overlap_outro !== undefined || args.bars_outro !== undefined) {
+			errors.push(path + ".outro: required when overlap_outro or bars_outro is given");
+		}
+
+		if (!shape) {
+			shape = validateSections(args.sections, path + '.sections', errors);
+		}
+
+		if (!shape) {
+			return errors;
+		}
+
+		validateMatrix(args.overlaps, shape, path + '.overlaps', errors);
+		validateMatrix(args.bars, shape, path + '.bars', errors);
+		validateMatrix(args.weights, shape, path + '.weights', errors);
+
+		[ 'overlap_intro', 'bars_intro', 'bpm', 'duration' ].forEach(function (key) {
+			optional(errors, args, key, path, function (x) { return isNumber(x) && x > 0; }, "expected positive number");
+		});
+
+		[ 'overlap_outro', 'bars_outro' ].forEach(function (key) {
+			if (args[key] === undefined || args[key] === null) {
+				return;
+			}
+
+			[].concat(args[key]).forEach(function (x, i) {
+				var p = path + '.' + key + (Array.isArray(args[key]) ? '[' + i + ']' : '');
+				check(errors, p, x === null || (isNumber(x) && x >= 0), "expected number");
+			});
+		});
+
+		optional(errors, args, 'finale', path, function (x) {
+			return (isNumber(x) && x >= 0) || FADE_SPEEDS.indexOf(x) !== -1;
+		}, "expected msec or one of " + FADE_SPEEDS.join(', '));
+
+		optional(errors, args, 'bars_finale', path, function (x) { return isNumber(x) && x >= 0; }, "expected number");
+		optional(errors, args, 'beatsPerBar', path, function (x) { return isInteger(x) && x > 0; }, "expected positive integer");
+		optional(errors, args, 'cycles', path, function (x) { return isInteger(x) && x > 0; }, "expected positive integer");
+		optional(errors, args, 'lookahead', path, function (x) { return isInteger(x) && x >= 0; }, "expected non-negative integer");
+		optional(errors, args, 'volume', path, function (x) { return isNumber(x) && x >= 0 && x <= 1; }, "expected number in [0, 1]");
+		optional(errors, args, 'intensity', path, function (x) { return isNumber(x) && x >= 0 && x <= 1; }, "expected number in [0, 1]");
+		optional(errors, args, 'end_stop', path, function (x) { return typeof x === 'boolean'; }, "expected boolean");
+		optional(errors, args, 'seed', path, function (x) { return isNumber(x) || isString(x); }, "expected number or string");
+		optional(errors, args, 'end', path, function (x) { return END_MODES.indexOf(x) !== -1; }, "expected one of " + END_MODES.join(', '));
+
+		if (args.end === 'duration' && args.duration === undefined) {
+			errors.push(path + ".duration: required when end is 'duration'");
+		}
+
+		if ((args.bars || args.bars_intro || args.bars_outro || args.bars_finale) && !args.bpm) {
+			errors.push(path + ".bpm: required when timings are given in bars");
+		}
+
+		[ 'forbidden', 'preferred' ].forEach(function (key) {
+			if (args[key] === undefined) {
+				return;
+			}
+			else if (!Array.isArray(args[key])) {
+				errors.push(path + '.' + key + ": expected array of [ section, section ] pairs");
+				return;
+			}
+
+			args[key].forEach(function (pair, i) {
+				var p = path + '.' + key + '[' + i + ']';
+
+				if (!Array.isArray(pair) || pair.length !== 2) {
+					errors.push(p + ": expected [ section, section ] pair");
+					return;
+				}
+
+				pair.forEach(function (name, j) {
+					check(errors, p + '[' + j + ']', isSection(name, shape, true), "no such section");
+				});
+			});
+		});
+
+		if (args.form !== undefined) {
+			if (!Array.isArray(args.form) || args.form.length === 0) {
+				errors.push(path + ".form: expected non-empty array of section sets");
+			}
+			else {
+				args.form.forEach(function (name, i) {
+					check(errors, path + '.form[' + i + ']', isSet(name, shape), "no such section set");
+				});
+			}
+		}
+
+		if (args.graph !== undefined && args.graph !== null) {
+			if (!isObject(args.graph)) {
+				errors.push(path + ".graph: expected object");
+			}
+			else {
+				Object.keys(args.graph).forEach(function (from) {
+					var p = path + '.graph.' + from;
+
+					check(errors, p, isSet(from, shape), "no such section set");
+
+					if (!isObject(args.graph[from])) {
+						errors.push(p + ": expected object");
+						return;
+					}
+
+					Object.keys(args.graph[from]).forEach(function (to) {
+						check(errors, p + '.' + to, isSet(to, shape), "no such section set");
+						check(errors, p + '.' + to, isNumber(args.graph[from][to]) && args.graph[from][to] >= 0, "expected non-negative number");
+					});
+				});
+			}
+		}
+
+		if (args.tags !== undefined) {
+			if (!isObject(args.tags)) {
+				errors.push(path + ".tags: expected object");
+			}
+			else {
+				Object.keys(args.tags).forEach(function (name) {
+					check(errors, path + '.tags.' + name, isSection(name, shape, false), "no such section");
+
+					[].concat(args.tags[name]).forEach(function (tag) {
+						check(errors, path + '.tags.' + name, isString(tag), "expected string or array of strings");
+					});
+				});
+			}
+		}
+
+		if (args.cues !== undefined) {
+			if (!isObject(args.cues)) {
+				errors.push(path + ".cues: expected object");
+			}
+			else {
+				Object.keys(args.cues).forEach(function (name) {
+					var p = path + '.cues.' + name;
+
+					if (String(name).toLowerCase() === 'intro') {
+						check(errors, p, hasintro, "there's no intro");
+					}
+					else {
+						check(errors, p, isSection(name, shape, false), "no such section");
+					}
+
+					[].concat(args.cues[name]).forEach(function (cue, i) {
+						if (!isObject(cue)) {
+							errors.push(p + '[' + i + ']: expected { at, name }');
+							return;
+						}
+
+						check(errors, p + '[' + i + '].at', isNumber(cue.at) && cue.at >= 0, "expected non-negative number");
+						check(errors, p + '[' + i + '].name', isString(cue.name) && cue.name.length > 0, "expected non-empty string");
+					});
+				});
+			}
+		}
+
+		if (args.trims !== undefined) {
+			if (!isObject(args.trims)) {
+				errors.push(path + ".trims: expected object");
+			}
+			else {
+				var hasoutro = args.outro !== undefined && args.outro !== null;
+
+				Object.keys(args.trims).forEach(function (name) {
+					var p = path + '.trims.' + name;
+					var lower = String(name).toLowerCase();
+
+					if (lower === 'intro') {
+						check(errors, p, hasintro, "there's no intro");
+					}
+					else if (lower === 'outro') {
+						check(errors, p, hasoutro, "there's no outro");
+					}
+					else {
+						check(errors, p, isSection(name, shape, false), "no such section");
+					}
+
+					check(errors, p, isNumber(args.trims[name]), "expected dB");
+				});
+			}
+		}
+
+		validateTransition(args.transition, path + '.transition', errors);
+
+		if (args.section_transitions !== undefined) {
+			if (!isObject(args.section_transitions)) {
+				errors.push(path + ".section_transitions: expected object");
+			}
+			else {
+				Object.keys(args.section_transitions).forEach(function (name) {
+					var p = path + '.section_transitions.' + name;
+
+					if (String(name).toLowerCase() === 'intro') {
+						check(errors, p, hasintro, "there's no intro");
+					}
+					else {
+						check(errors, p, isSection(name, shape, false), "no such section");
+					}
+
+					validateTransition(args.section_transitions[name], p, errors);
+				});
+			}
+		}
+
+		if (args.stem_intensities !== undefined) {
+			if (!Array.isArray(args.stem_intensities)) {
+				errors.push(path + ".stem_intensities: expected array");
+			}
+			else {
+				args.stem_intensities.forEach(function (x, i) {
+					check(errors, path + '.stem_intensities[' + i + ']', isNumber(x) && x >= 0 && x <= 1, "expected number in [0, 1]");
+				});
+			}
+		}
+
+		return errors;
+	};
+
+	/* validateSFX
+	 *
+	 * Checks an SFX manifest entry, c.f. SFX.loadManifest.
+	 *
+	 * Required:
+	 *   [0] entry: obj
+	 *
+	 * Optional:
+	 *   [1] path: prefix for errors e.g. 'sfx.click'
+	 *
+	 * Return: [ error strings ]
+	 */
+	SonicManifest.validateSFX = function (entry, path) {
+		path = path || 'sfx';
+
+		if (!isObject(entry)) {
+			return [ path + ": expected object" ];
+		}
+
+		var errors = [];
+
+		checkKeys(errors, entry, SFX_KEYS, path);
+
+		var type = entry.type === undefined ? 'single' : entry.type;
+
+		check(errors, path + '.type', SFX_TYPES.indexOf(type) !== -1, "expected one of " + SFX_TYPES.join(', '));
+		check(errors, path + '.url', isString(entry.url) && entry.url.length > 0, "expected url");
+		check(errors, path + '.lazy', entry.lazy === undefined || typeof entry.lazy === 'boolean', "expected boolean");
+
+		if (type !== 'single' && isString(entry.url)) {
+			check(errors, path + '.url', entry.url.indexOf('{i}') !== -1, "expected {i} in the url where the track number goes");
+		}
+
+		if (type === 'random') {
+			check(errors, path + '.count', entry.count === undefined || (isInteger(entry.count) && entry.count > 0), "expected positive integer");
+		}
+
+		if (type !== 'single') {
+			check(errors, path + '.seed', entry.seed === undefined || isNumber(entry.seed) || isString(entry.seed), "expected number or string");
+		}
+
+		return errors;
+	};
+
+	// { type: 'overlap' or 'crossfade', msec }
+	function validateTransition (transition, path, errors) {
+		if (transition === undefined || transition === null) {
+			return;
+		}
+		else if (!isObject(transition)) {
+			errors.push(path + ": expected { type, msec }");
+			return;
+		}
+
+		check(errors, path + '.type', transition.type === undefined || TRANSITION_TYPES.indexOf(transition.type) !== -1, "expected one of " + TRANSITION_TYPES.join(', '));
+		check(errors, path + '.msec', transition.msec === undefined || (isNumber(transition.msec) && transition.msec >= 0), "expected non-negative number");
+	}
+
+	// c.f. shuffleFactory in Music.js
+	function validateNaming (naming, path, errors) {
+		if (naming === undefined) {
+			return;
+		}
+		else if (!isObject(naming)) {
+			errors.push(path + ": expected object");
+			return;
+		}
+
+		[ 'section', 'intro', 'ext' ].forEach(function (key) {
+			check(errors, path + '.' + key, naming[key] === undefined || (isString(naming[key]) && naming[key].length > 0), "expected non-empty string");
+		});
+
+		if (isString(naming.section)) {
+			check(errors, path + '.section', /\{index(:\d+)?\}/.test(naming.section), "expected {index} where the section number goes");
+			check(errors, path + '.section', /\{(set|SET|setindex)(:\d+)?\}/.test(naming.section), "expected {set}, {SET}, or {setindex} where the section set goes");
+		}
+	}
+
+	// Return: [ number of sections per set ] or null if sections is malformed
+	function validateSections (sections, path, errors) {
+		if (!Array.isArray(sections) || sections.length === 0) {
+			errors.push(path + ": expected array of section sets");
+			return null;
+		}
+
+		var ok = true;
+
+		var shape = sections.map(function (sectionset, i) {
+			if (!Array.isArray(sectionset) || sectionset.length === 0) {
+				errors.push(path + '[' + i + ']: expected array of sections');
+				ok = false;
+				return 0;
+			}
+
+			sectionset.forEach(function (source, j) {
+				ok = validateSource(source, path + '[' + i + '][' + j + ']', errors) && ok;
+			});
+
+			return sectionset.length;
+		});
+
+		return ok ? shape : null;
+	}
+
+	// a url or a list of stem urls
+	function validateSource (source, path, errors) {
+		if (isString(source)) {
+			return true;
+		}
+		else if (Array.isArray(source) && source.length && source.every(isString)) {
+			return true;
+		}
+
+		errors.push(path + ": expected url or array of stem urls");
+		return false;
+	}
+
+	// Checks that a matrix of numbers has a row for each section set
+	// and an entry for each section. null stands in for an entry that
+	// should use the default.
+	function validateMatrix (matrix, shape, path, errors) {
+		if (matrix === undefined || matrix === null) {
+			return;
+		}
+		else if (!Array.isArray(matrix)) {
+			errors.push(path + ": expected array of arrays");
+			return;
+		}
+
+		if (matrix.length !== shape.length) {
+			errors.push(path + ": has " + matrix.length + " rows but there are " + shape.length + " section sets");
+		}
+
+		matrix.forEach(function (row, i) {
+			if (!Array.isArray(row)) {
+				errors.push(path + '[' + i + ']: expected array');
+				return;
+			}
+
+			if (i < shape.length && row.length !== shape[i]) {
+				errors.push(path + '[' + i + ']: has ' + row.length + " entries but section set " + setLetter(i) + " has " + shape[i] + " sections");
+			}
+
+			row.forEach(function (x, j) {
+				check(errors, path + '[' + i + '][' + j + ']', x === null || (isNumber(x) && x >= 0), "expected number");
+			});
+		});
+	}
+
+	function forEachEntry (manifest, key, errors, fn) {
+		var entries = manifest[key];
+
+		if (entries === undefined) {
+			return;
+		}
+		else if (!isObject(entries)) {
+			errors.push(key + ": expected object");
+			return;
+		}
+
+		Object.keys(entries).forEach(function (name) {
+			fn(entries[name], key + '.' + name);
+		});
+	}
+
+	// a misspelled option would otherwise be ignored without a word
+	function checkKeys (errors, obj, known, path) {
+		Object.keys(obj).forEach(function (key) {
+			check(errors, path + '.' + key, known.indexOf(key) !== -1, "unknown option");
+		});
+	}
+
+	function optional (errors, args, key, path, test, message) {
+		if (args[key] === undefined || args[key] === null) {
+			return;
+		}
+
+		check(errors, path + '.' + key, test(args[key]), message);
+	}
+
+	function check (errors, path, ok, message) {
+		if (!ok) {
+			errors.push(path + ": " + message);
+		}
+
+		return ok;
+	}
+
+	function isSection (name, shape, allowintro) {
+		if (Array.isArray(name)) {
+			return isInteger(name[0]) && isInteger(name[1])
+				&& name[1] >= 0 && name[1] < (shape[name[0]] || 0);
+		}
+
+		if (String(name).toLowerCase() === 'intro') {
+			return allowintro;
+		}
+
+		var match = String(name).match(/^([a-zA-Z])(\d+)$/);
+
+		if (!match) {
+			return false;
+		}
+
+		var sectionset = match[1].toUpperCase().charCodeAt(0) - 'A'.charCodeAt(0),
+			section = parseInt(match[2], 10) - 1;
+
+		return section >= 0 && section < (shape[sectionset] || 0);
+	}
+
+	function isSet (name, shape) {
+		var index = /^\d+$/.test(name)
+			? parseInt(name, 10)
+			: (/^[a-zA-Z]$/.test(name) ? name.toUpperCase().charCodeAt(0) - 'A'.charCodeAt(0) : -1);
+
+		return index >= 0 && index < shape.length;
+	}
+
+	function setLetter (index) {
+		return String.fromCharCode('A'.charCodeAt(0) + index);
+	}
+
+	function isObject (x) {
+		return x !== null && typeof x === 'object' && !Array.isArray(x);
+	}
+
+	function isString (x) {
+		return typeof x === 'string';
+	}
+
+	function isNumber (x) {
+		return typeof x === 'number' && isFinite(x);
+	}
+
+	function isInteger (x) {
+		return isNumber(x) && Math.floor(x) === x;
+	}
+})();
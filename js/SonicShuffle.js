@@ -25,6 +25,8 @@
  *     - custom howler.js v1.1.28 (heavily modified)
  *     - jQuery-like deferred objects (for fading deferred objects)
  *     - SonicUtils.js
+ *     - SonicClock.js (drift-free timing of transitions against the Web Audio clock)
+ *     - SonicManifest.js (checks the arguments)
  */
 
 /* SonicShuffle
@@ -35,19 +37,100 @@
  *	 sections: [
  *	 	[ A1, A2, A3, ... ], // Section A, A1 = filename etc
  *	 	[ B1, B2, B3, ... ], // Section B
+ *	 	[ [ C1drums, C1pads, C1melody ], C2, ... ], // A section may be a list of stems that play in sync
  *	     ...
  *	 ],
  *
  * Optional:
  *   title: string
- *   end: 'section', 'cycle', 'fullcycle' (default), or 'loop'
+ *   end: When to stop (c.f. end_stop). One of:
+ *       'section': after the first section
+ *       'cycle': after one cycle
+ *       'fullcycle' (default): after one full cycle
+ *       'cycles': after the number of cycles given by cycles
+ *       'duration': at the first section boundary after duration msec of play
+ *       'loop': never, the piece repeats until stop or finish is called
+ *   cycles: int, number of cycles to play for end: 'cycles' (default 1)
+ *   duration: msec, approximate length of the piece for end: 'duration'
+ *   end_stop: boolean, stop playing once the end is reached (default true). 
+ *       If false, the piece plays on and only the usual events mark the end.
  *   intro: filepath, if specified introduces the shuffle with this piece
+ *   outro: filepath or [ filepaths ], if specified concludes the shuffle with this piece 
+ *       (one is drawn at random) once the end is reached or finish is called. 
+ *       Emits "outro-begin" when it starts and "end" when it's over.
+ *   overlap_outro: msec or [ msec, ... ], emit "end" this far into the outro rather 
+ *       than waiting for its tail to finish
  *   volume: float in [0, 1], defaults to 1
+ *   trims: {
+ *   	A2: -1.5, // dB applied to A2's volume on top of the piece's, for sections mastered 
+ *   	intro: 2, // at different levels. 'outro' applies to every outro. Sections 
+ *   	...       // can't be boosted past full volume.
+ *   }
+ *   intensity: float in [0, 1], defaults to 1, c.f. intensity
+ *   stem_intensities: [ 0, 0.4, 0.8 ], the intensity at which the first, second, third etc 
+ *       stem of every section is heard. Defaults to evenly spaced from 0.
  *   overlaps: [
  *   	[ 13000, 32000, 19400 ], // Fire overlap events at this many msec for A1, A2, A3 respectively
  *      ... 
  *   ]
- *   finale: msec, throw the "finale" event this many msec before the final section terminates
+ *   finale: msec, throw the "finale" event this many msec before the final section hands over to
+ *       the outro or the piece ends, i.e. before its overlap, or its end if it has none
+ *   transition: { type: 'overlap' or 'crossfade', msec }, how sections hand over to the next.
+ *       'overlap' (the default) starts the next section at the overlap, or the end if there 
+ *       isn't one, and lets the tail ring out. 'crossfade' instead fades the section out 
+ *       over msec (default 1000) while fading the next one in, finishing at the overlap 
+ *       or end. The last section always rings out, and a section
+ *       followed by itself starts over rather than crossfading.
+ *   section_transitions: {
+ *   	A2: { type: 'crossfade', msec: 2500 }, // Overrides transition when leaving A2
+ *   	intro: { type: 'overlap' },
+ *   	...
+ *   }
+ *   bpm: number, tempo of the piece in beats per minute
+ *   beatsPerBar: int, defaults to 4
+ *   bars: [
+ *   	[ 24, 16, 24 ], // Fire overlap events this many bars into A1, A2, A3, (requires bpm)
+ *   	...             // Fractional bars are fine. Entries in overlaps take precedence.
+ *   ]
+ *   bars_intro, bars_outro, bars_finale: same as overlap_intro, overlap_outro and finale, 
+ *       but in bars. The millisecond versions take precedence.
+ *       
+ *   If a bpm is given, "bar" and "beat" events are emitted in time with the intro and 
+ *   sections with { section_set, section, name, bar, beat } where bar counts from 1 at 
+ *   the start of the section and beat counts from 1 at the start of the bar.
+ *   cues: {
+ *   	A2: [ { at: 12000, name: 'drop' } ], // Emit "cue" 12 seconds into A2 with { section_set, 
+ *   	intro: [ { at: 500, name: 'logo' } ], // section, name, cue, at } where name is the section's.
+ *   	...                                   // Cues at or after a section's overlap don't fire.
+ *   }
+ *   weights: [
+ *   	[ 3, 1, 0.5 ], // Relative likelihood of picking A1, A2, A3 from the unplayed sections of A
+ *   	...            // Missing entries default to 1. Every section still plays once per full cycle.
+ *   ]
+ *   forbidden: [
+ *   	[ 'B2', 'C3' ], // Never follow B2 with C3 (sections may also be written as [ set, section ] e.g. [ 1, 1 ])
+ *   	[ 'intro', 'A2' ],
+ *   	...             // If no unplayed section is permitted, the pair is ignored rather than breaking the full cycle.
+ *   ]
+ *   preferred: [
+ *   	[ 'A1', 'B3' ], // Follow A1 with B3 whenever B3 is still available
+ *   	...
+ *   ]
+ *   tags: {
+ *   	A1: [ 'calm', 'sparse' ], // Labels matched against the mood, c.f. mood
+ *   	B2: 'tense',
+ *   	...
+ *   }
+ *   mood: string or [ strings ], the initial mood
+ *   form: [ 'A', 'B', 'A', 'C', 'A' ], // The order of section sets within a cycle, e.g. a rondo. 
+ *   	                                // Repeated sets draw a different section each time where possible.
+ *   graph: {
+ *   	A: { B: 0.7, C: 0.3 }, // After a section from A, move to B 70% of the time and C 30% of the time
+ *   	B: { C: 1 },           // Section sets may be written as letters or indices
+ *   	C: { A: 1, B: 1 },     // Missing rows fall back to the next set in order (the default ring A -> B -> C -> A)
+ *   }
+ *   seed: integer or string, makes the order of sections reproducible (c.f. SonicUtils.seeded_random)
+ *   lookahead: int, how many upcoming sections to decide in advance (default 1), c.f. upcoming
  *
  * Return: obj
  */
@@ -63,40 +146,128 @@
 
 		this.title = args.title || null;
 
-		this.intro = howlFactory(args.intro, this.gain, args.overlap_intro);
-		this.sections = initalizeSections(args.sections, this.gain, args.overlaps);
+		// the same checks the manifest loaders make, for shuffles built directly
+		SonicManifest.validateShuffle(args, this.title || 'SonicShuffle').forEach(function (error) {
+			console.error(error);
+		});
+
+		this.rng = SonicUtils.seeded_random(args.seed); // all random decisions must be drawn from here
+
+		this.bpm = args.bpm || null;
+		this.beats_per_bar = args.beatsPerBar || 4;
+
+		var barmsec = this.barLength();
+
+		if (!barmsec && (args.bars || args.bars_intro || args.bars_outro || args.bars_finale)) {
+			console.warn((this.title || "SonicShuffle") + ": Timings in bars require a bpm. They will be ignored.");
+		}
+
+		var overlaps = resolveTimings(args.overlaps, args.bars, barmsec);
+
+		this.intro = sectionFactory(args.intro, this.gain);
+		this.outros = initializeOutros(args.outro, this.gain);
+		this.sections = initalizeSections(args.sections, this.gain, overlaps);
+
+		this.level = SonicUtils.clamp(SonicUtils.nvl(args.intensity, 1), 0, 1);
+		this.stem_intensities = args.stem_intensities || null;
 		this.section_states = resetSectionsPlayed(this.sections);
+		this.weights = initializeWeights(this.sections, args.weights);
+		this.forbidden = initializeTransitions(this.sections, args.forbidden);
+		this.preferred = initializeTransitions(this.sections, args.preferred);
+		this.tags = initializeTags(this.sections, args.tags);
+		this.cues = initializeCues(this.sections, !!args.intro, args.cues);
+		this.trims = initializeTrims(this.sections, !!args.intro, this.outros.length > 0, args.trims);
+		this.transition = initializeTransition(args.transition, "transition") || { type: 'overlap', msec: 0 };
+		this.section_transitions = initializeSectionTransitions(this.sections, !!args.intro, args.section_transitions);
+		this.moods = [].concat(args.mood || []);
+		this.form = initializeForm(this.sections, args.form);
+		this.demand = formDemand(this.sections, this.form);
+		this.graph = initializeGraph(this.sections, args.graph);
+
+		if (args.form && this.graph) {
+			console.warn((this.title || "SonicShuffle") + ": form and graph cannot be combined. Ignoring the graph.");
+			this.graph = null;
+		}
+
 		this.muted = false;
 
-		this.has_overlaps = !!args.overlaps || !!args.intro_overlap;
-		this.finale = args.finale || null;
+		this.overlaps = overlaps || null; // filled in by initalizeSections
+		this.overlap_intro = resolveTimings(args.overlap_intro, args.bars_intro, barmsec) || null;
+		this.overlap_outro = resolveTimings(args.overlap_outro, args.bars_outro, barmsec) || null; // msec or [ msec for each outro ]
+		this.finale = resolveTimings(args.finale, args.bars_finale, barmsec) || null;
 
 		this.section_set = null; // section set index
 		this.section = null; // section index
+		this.position = null; // index into this.form
+		this.next_position = null; // decided upon entering position
+		this.resume_offset = null; // msec, set by restore
+		this.cycle_history = []; // [ [ section_set, section ], ... ] played so far this cycle
+		this.closes_fullcycle = false; // whether the current section is the last of its full cycle
+		this.finishing = false; // the current section is the last one before the outro or end
+		this.cycles_played = 0; // cycles completed before the current section
+		this.elapsed = 0; // msec of the piece played before the current section
+		this.interrupted_at = null; // msec into the current section at which interrupt cut it short
+		this.seam = null; // msec on the audio clock at which the next section is due, c.f. SonicClock
+		this.clock_events = []; // SonicClock events for the section now playing
+		this.beat_event = null; // SonicClock event for the next beat
+		this.section_start = null; // msec on the audio clock at which the section now playing was due to begin
+		this.section_lag = 0; // msec by which the section now playing began after it was due
+		this.next_beat = 0; // beat of the section now playing to emit next, so none repeat on resume
+		this.next_cue = 0; // index into the cues of the section now playing to emit next, likewise
+		this.boundaries = []; // [ { event, deferred }, ... ] pending from nextBoundary
+		this.stingers = {}; // url: howl, loaded as they're first played
+		this.stinger_playing = null; // { url, howl } 
+		this.stinger_request = 0; // increments so that superseded stingers are dropped
+		this.ducking = 1; // fraction of the volume the sections play at while a stinger ducks them
+		this.duck_stepper = null; // interval moving ducking towards its target
+		this.finale_due = false; // whether the section now playing should emit finale
+
+		this.lookahead = Math.max(SonicUtils.nvl(args.lookahead, 1), 0);
+		this.queue = []; // sections committed to play next, c.f. commitSection
 
 		this.state = 'stopped';
 
+		var fresh = resetSectionsPlayed(this.sections);
+		if (!this.graph && !completableFullCycle.call(this, fresh, 0, this.intro ? 'intro' : null)) {
+			console.warn((this.title || "SonicShuffle") + ": The forbidden transitions make a full cycle impossible. Some will be ignored during play.");
+		}
+
+		if (!cycleExists(fresh, this.demand)) {
+			console.warn((this.title || "SonicShuffle") + ": The form uses some section sets more often than they have sections. They will repeat within a cycle.");
+		}
+
+		if (this.graph && !graphCycles(this.graph)) {
+			console.warn((this.title || "SonicShuffle") + ": Not every section set in the graph is on a path from and back to A. Some cycles may never end.");
+		}
+
+		var late = lateCues.call(this);
+		if (late.length) {
+			console.warn((this.title || "SonicShuffle") + ": Cues at or after their section's overlap never fire: " + late.join(', ') + ".");
+		}
+
 		this._fading = {}; // contains timers
 
 		this.callbacks = {};
 
+		this.volume(this.gain); // applies the trims
+		this.intensity(this.level, 0);
+
 		_this.end_stop = SonicUtils.nvl(args.end_stop, true);
 		_this.end = args.end !== undefined 
 			? args.end
 			: 'fullcycle';
 
-		var mapping = {
-			section: 'section-end',
-			cycle: 'cycle-end',
-			fullcycle: 'fullcycle',
-		};
+		if ([ 'section', 'cycle', 'fullcycle', 'cycles', 'duration', 'loop' ].indexOf(_this.end) === -1) {
+			console.warn((this.title || "SonicShuffle") + ": Unknown end mode '" + _this.end + "'. Defaulting to 'fullcycle'.");
+			_this.end = 'fullcycle';
+		}
 
-		var evt = mapping[_this.end];
-		if (evt && _this.end_stop) {
-			this.on(evt, function () { 
-				_this.trigger('end');
-				_this.stop();
-			});
+		_this.cycles = Math.max(Math.floor(SonicUtils.nvl(args.cycles, 1)), 1);
+		_this.duration = SonicUtils.nvl(args.duration, null);
+
+		if (_this.end === 'duration' && !(_this.duration > 0)) {
+			console.warn((this.title || "SonicShuffle") + ": end: 'duration' requires a duration in msec. Defaulting to 'fullcycle'.");
+			_this.end = 'fullcycle';
 		}
 
 		return this;
@@ -117,588 +288,2897 @@
 		if (this.state == 'paused') {
 			this.nowPlaying().play();
 			this.state = 'playing';
-			return this;
-		}
 
-		function next () {
-			var finished = _this.isLastSection();
+			scheduleEvents.call(this);
 
-			// For first play or transition from intro.
-			if (_this.section_set === null || _this.section_set === -1) {
-				_this.section_set = _this.sections.length - 1; // set initally to T to make S the successor state
-			}
-
-			var section = moveToSucessorState.call(_this); // emits fullcycle evt
-
-			processFinaleEvent.call(_this, section);
-
-			// Must occur after "moveToSuccessorState" in order to process
-			// events and cleanup
-			if (finished && _this.end_stop) {
-				return;
-			}
-
-			if (!section) {
-				return;
-			}
-
-			var sectionset = _this.section_set; // must freeze state to avoid race condition
+			return this;
+		}
 
-			section.ion('end', function () {
-				_this.trigger('section-end');
+		// set by restore
+		var resume = this.resume_offset !== null && this.nowPlaying();
+		var playintro = !resume && this.state === 'stopped' && this.intro;
 
-				if (sectionset === _this.sections.length - 1) {
-					_this.trigger('cycle-end');
-				}
+		this.state = 'playing';
+		this.trigger('play');
 
-				if (!_this.has_overlaps) { // normal operation
-					next();
-				}
-			});
+		if (resume) {
+			var offset = this.resume_offset;
+			this.resume_offset = null;
 
-			if (_this.has_overlaps) {
-				section.ion('overlap', function () {
-					next();
-				});
+			if (this.section_set === -1) {
+				beginIntro.call(this, offset);
 			}
-
-			// these if statements are in case the tiggers 
-			// end up pausing or stopping the music
-			if (_this.state === 'playing') {
-				if (_this.section_set === 0) {
-					_this.trigger('cycle-begin');
-				}
-
-				_this.trigger('section-begin', _this.section_set, _this.section);
-
-				if (_this.state === 'playing') {
-					var vol = _this.muted ? 0 : _this.volume();
-					section.volume(vol).play();
-				}
+			else {
+				processFinaleEvent.call(this, this.nowPlaying());
+				beginSection.call(this, this.nowPlaying(), offset);
 			}
 		}
-
-		var playintro = this.state === 'stopped' && this.intro;
-
-		this.state = 'playing';
-		this.trigger('play');
-
-		if (playintro) {
+		else if (playintro) {
 			this.section_set = -1; // -1 isn't a valid succession state, so it's used to designate the intro
 			this.section = 0;
 
-			var terminalevt = _this.has_overlaps 
-				? 'overlap'
-				: 'end';
-
-			this.intro.ion(terminalevt, function () {
-				next();
-			});
-
-			this.intro.play();
-			this.trigger('section-begin', _this.section_set, _this.section);
+			fillQueue.call(this);
+			beginIntro.call(this, 0);
 		}
 		else {
-			next();
+			advance.call(this);
 		}
 		
 		return this;
 	};
 
-	// The finale event is an early warning signal so that
-	// things like fade outs can be implmented before the track
-	// completely dies.
-	function processFinaleEvent (section) {
-		var _this = this; 
+	/* advance
+	 *
+	 * Moves on to the next section and plays it, or
+	 * wraps up the piece if the end has been reached.
+	 *
+	 * Optional:
+	 *   [0] fadein: msec to fade the next section in over
+	 *   [1] ended: whether the current section has already 
+	 *       stopped sounding (as opposed to reaching its overlap)
+	 */
+	function advance (fadein, ended) {
+		var _this = this;
+
+		if (_this.section_set === -2) { // outro
+			endPiece.call(_this);
+			return;
+		}
 
-		if (_this.finale === null
-			|| !_this.isLastSection()) {
+		if (_this.finishing 
+			|| (_this.end_stop && _this.isLastSection())) {
 
+			conclude.call(_this, ended);
 			return;
 		}
 
-		var msec = Math.max(section.duration() - _this.finale, 0);
+		var section = moveToSucessorState.call(_this); // emits fullcycle evt
 
-		section
-			.timer(msec, 'finale')
-			.ion('finale', function () {
-				section.off('finale');
-				_this.trigger('finale');
-			});
-	};
+		processFinaleEvent.call(_this, section);
 
-	// Is this the last section that's going to play before the end?
-	Music.SonicShuffle.prototype.isLastSection = function () {
-		if (this.end === 'section') {
-			return true;
-		}
-		else if (this.end === 'cycle') {
-			return this.section_set === this.sections.length - 1;
-		}
-		else if (this.end === 'fullcycle') {
-			// full cycle
-			return (this.section_set === this.sections.length - 1
-				&& !cycleExists(this.section_states));
+		if (!section) {
+			return;
 		}
 
-		return false;
-	};
+		beginSection.call(_this, section, 0, fadein);
+	}
 
-	/* moveToSucessorState
-	 *
-	 * The sonic shuffle can be viewed as a
-	 * cyclic finite automaton that is constructed in
-	 * layers (Section Sets) that contain edges
-	 * from each node in the layer to all nodes 
-	 * in the next layer. As nodes are visited,
-	 * their incoming edges are pruned. 
-	 *
-	 * When the cycle is broken via the pruning process,
-	 * the graph is reinstated upon visiting the terminal layer T
-	 * or the start layer S.
+	/* conclude
 	 *
-	 * Entering S generates a "cycle-start" event, while leaving T
-	 * generates a "cycle-end" event.
+	 * Called in place of moving on from the last section. Plays the
+	 * outro if there is one, otherwise lets the last section ring out
+	 * before ending the piece.
 	 *
-	 * The visitation graph (equivalent ot the edge description above) is stored 
-	 * in this.section_states as boolean values.
-	 * 
+	 * Optional:
+	 *   [0] ended: whether the last section has already stopped sounding
 	 */
-	function moveToSucessorState () {
-		this.section_set = (this.section_set + 1) % this.sections.length;
+	function conclude (ended) {
+		var _this = this;
 
-		if (this.section_set === 0 
-			&& !cycleExists(this.section_states)) {
-			
+		var section = this.nowPlaying();
+
+		this.finishing = true;
+		discardQueue.call(this);
+
+		if (this.section_set >= 0 && this.closes_fullcycle) {
 			this.trigger('fullcycle');
-			this.section_states = resetSectionsPlayed(this.sections);
 		}
 
 		// in case fullcycle events call stop or pause
 		if (this.state !== 'playing') {
-			return null;
+			return;
 		}
 
-		// map [ true, false, true, true, false, true ]
-		// to  [ 0, 2, 3, 5 ]
+		if (this.outros.length) {
+			beginOutro.call(this);
+		}
+		else if (ended || !section) {
+			endPiece.call(this);
+		}
+		else {
+			section.on('end', function () {
+				endPiece.call(_this);
+			});
+		}
+	}
 
-		var counter = 0;
-		var possible = this.section_states[this.section_set].map(function (bool) {
-			counter++;
-			return bool 
-				? counter - 1
-				: null;
-		}).filter(function (x) { return x !== null });
+	function endPiece () {
+		if (!this.finishing) {
+			return;
+		}
+
+		this.trigger('end');
+		this.stop();
+	}
 
-		this.section = SonicUtils.random_choice(possible);
+	function beginOutro () {
+		var _this = this;
 
-		this.section_states[this.section_set][this.section] = false;
+		var index = SonicUtils.random_index(this.outros, this.rng);
+		var outro = this.outros[index];
 
-		return this.nowPlaying();
-	}
+		// the last section's events end with it, including a finale that's still to come
+		cancelEvents.call(this);
+		this.finale_due = false;
 
-	function cycleExists (visitgraph) {
-		function or (x, y) { return x || y };
+		this.section_set = -2; // -2 designates the outro, c.f. -1 for the intro
+		this.section = index;
+		this.position = null;
+		this.next_position = null;
 
-		return visitgraph.reduce(function (a, b) {
-			return a && b.reduce(or);
-		}, true);
+		var ended = false;
+		var signalEnd = function () {
+			if (!ended) {
+				ended = true;
+				_this.trigger('end');
+			}
+		};
+
+		outro.ion('overlap', signalEnd);
+		outro.ion('end', function () {
+			signalEnd();
+
+			if (_this.finishing) {
+				_this.stop();
+			}
+		});
+
+		this.trigger('outro-begin', index);
+
+		if (this.state === 'playing') {
+			var vol = this.muted ? 0 : sectionVolume.call(this, this.volume(), -2, index);
+
+			this.seam = null;
+			this.section_lag = 0;
+			this.next_beat = 0;
+			this.next_cue = 0;
+			outro.volume(vol).play();
+
+			scheduleEvents.call(this); // emits "overlap" at overlap_outro
+		}
 	}
 
-	Music.SonicShuffle.prototype.pause = function () {
-		if (!this.nowPlaying() || this.state !== 'playing') {
+	/* finish
+	 *
+	 * Wind the piece down gracefully: the current section becomes 
+	 * the last one, followed by the outro if there is one.
+	 *
+	 * Return: this
+	 */
+	Music.SonicShuffle.prototype.finish = function () {
+		if (this.state === 'stopped' || this.finishing) {
 			return this;
 		}
 
-		this.state = 'paused';
-		this.nowPlaying().pause();	
+		this.finishing = true;
+		discardQueue.call(this);
 
-		this.trigger('pause');
+		var section = this.nowPlaying();
+
+		if (section && this.finale !== null) {
+			var remaining = sectionLength.call(this, this.section_set, this.section) - section.pos() * 1000;
+
+			if (remaining <= this.finale) {
+				this.trigger('finale');
+			}
+			else {
+				processFinaleEvent.call(this, section);
+				scheduleEvents.call(this);
+			}
+		}
 
 		return this;
 	};
 
-	Music.SonicShuffle.prototype.stop = function () {
-		this.state = 'stopped';
-		
-		this.forEachSection(function (section) {
-			section.stop();
-		});
+	/* nextBoundary
+	 *
+	 * Wait for the next musical boundary so that changes 
+	 * like fades or stopping don't cut a phrase short.
+	 *
+	 * Required:
+	 *   [0] unit: 'beat', 'bar', or 'section'. 
+	 *       Beats and bars require a bpm, otherwise 'section' is used.
+	 *
+	 * Return: promise, resolved when the audio clock reaches the boundary
+	 *   or immediately if the piece isn't playing or is pausing or stopping.
+	 */
+	Music.SonicShuffle.prototype.nextBoundary = function (unit) {
+		var _this = this;
 
-		this.section_set = null;
-		this.section = null;
+		var deferred = $.Deferred();
 
-		this.section_states = resetSectionsPlayed(this.sections);
+		var now = SonicClock.now();
+		var when = null;
 
-		this.trigger('stop');
+		if (this.state === 'playing' && this.section_start !== null) {
+			var period = null;
 
-		return this;
-	};
+			if (unit === 'beat' && this.bpm) {
+				period = 60000 / this.bpm;
+			}
+			else if (unit === 'bar' && this.bpm) {
+				period = this.barLength();
+			}
 
-	Music.SonicShuffle.prototype.mute = function () {
-		this.muted = true;
+			if (period) {
+				when = this.section_start + Math.ceil((now - this.section_start) / period) * period;
+			}
+			else if (unit === 'beat' || unit === 'bar' || unit === 'section') {
+				when = this.seam; 
+			}
+			else {
+				console.warn("Unknown boundary '" + unit + "'.");
+			}
+		}
 
-		this.forEachSection(function (section) {
-			section.mute();
+		if (when === null || when <= now) {
+			return deferred.resolve();
+		}
+
+		var boundary = { deferred: deferred };
+
+		boundary.event = SonicClock.at(when, function () {
+			_this.boundaries = _this.boundaries.filter(function (b) { return b !== boundary; });
+			deferred.resolve();
 		});
 
-		this.trigger('mute', true);
+		this.boundaries.push(boundary);
 
-		return this;
+		return deferred;
 	};
 
-	Music.SonicShuffle.prototype.unmute = function () {
-		this.muted = false;
+	function resolveBoundaries () {
+		var boundaries = this.boundaries;
+		this.boundaries = [];
 
-		this.forEachSection(function (section) {
-			section.unmute();
+		boundaries.forEach(function (boundary) {
+			SonicClock.cancel(boundary.event);
+			boundary.deferred.resolve();
 		});
+	}
 
-		this.volume(this.volume());
-
-		this.trigger('mute', false);
-
-		return this;
-	};
-
-	/* fade
-	 *
-	 * Smoothly interpolate the volume of the piece from one position
-	 * to the other.
-	 *
-	 * There are some tricky situations that pop up since various UI 
-	 * events of differing importance will compete for volume control. 
-	 *
-	 * Additionally, because of the nature of the Sonic Shuffle, some 
-	 * subsections may be cross fading independently at the same time that
-	 * the piece as a whole is attempting to fade. This competition can result
-	 * in static as gain values ping pong between the two masters 
-	 * if not carefully managed.
-	 *
-	 * Towards these ends, this fading feature attempts to balance several concerns.
-	 * 
-	 * By default, the if you call a fade while another is in progress, it will cancel
-	 * and initiate a fade in the new direction. However, the return type is a jQuery
-	 * deferred so you can use .fail or .always to ensure your post-fade callback is 
-	 * executed (though you might only want it to execute on success, this is your choice).
-	 *
-	 * To handle competing priorities, a higher priority fade (priority argument) essentially 
-	 * acquires a lock on the volume control. Only an equal or higher priorty fade can override it.
-	 * This is important for, e.g. the mute button.
+	/* beginSection
 	 *
-	 * While I think the provided easing function is awesome (cosine decay), you might want to 
-	 * provide your own (e.g. sinusoidal, exponential, etc). The easing function makes this 
-	 * possible. 
+	 * Wires up the transition to the next section and 
+	 * starts playing the current one.
 	 *
 	 * Required:
-	 *   to: >= 0.0 (typically 0.0 to 1.0): Final volume state
-	 *   msec: Duration of the fade in msec.
+	 *   [0] section: the current section's howl
+	 *   [1] offset: msec into the section to start from
 	 *
 	 * Optional:
-	 *   from: >= 0.0 (typically 0.0 to 1.0), initial volume level (default: current)
-	 *   priority: Number, acquires mutex on volume control against lower priority levels
-	 *   easing: fn(t), t in 0..1, ret 0..1, map of % animation complete to volume level
-	 *   normalizer: If the shuffle is a sub-object of something else that can fade,
-	 *        you can provide a value to normalize the output by.
+	 *   [2] fadein: msec to fade the section in over
 	 *
-	 *        e.g. Your sound system as a whole is fading out you want to fade
-	 *          from 50% to 100% of your shuffle's volume relative to the master volume.
-	 *			You'll possibly need to exclude this piece from the other fading mechanism
-	 *			using the .isFading method.
-	 *        
-	 *          music.fade({
-	 * 				from: 0.5,
-	 * 				to: 1.0,
-	 *				msec: 2500,
-	 *				normalizer: function () { return SFX.volume() }, // shuffle.vol = shuffle.vol * SFX.vol
-	 *          })
-	 *
-	 * Return: jQuery deferred object, resolve on complete, reject if aborted
+	 * Sections start from a main thread callback (Howler can't start a sound 
+	 * at a time on the audio clock), so they may begin a few msec after 
+	 * they were due. They aren't skipped ahead to make up for it, which would 
+	 * cut off their beginning. Instead, the section's events are timed from 
+	 * when it was due (c.f. scheduleEvents) so the lateness doesn't build 
+	 * up from one section to the next.
 	 */
-	Music.SonicShuffle.prototype.fade = function (args) {
-		args = args || {};
-
+	function beginSection (section, offset, fadein) {
 		var _this = this;
 
-		var from = SonicUtils.nvl(args.from, _this.volume()),
-			to = SonicUtils.assertDefined(args.to),
-			msec = SonicUtils.assertDefined(args.msec),
+		var closing = _this.next_position === 0; // must freeze state to avoid race condition
+		var overlaps = !!overlapTime.call(_this, _this.section_set, _this.section);
 
-			priority = args.priority || 0,
-			normalizer = args.normalizer || function () { return 1 },
-			
-			easing = args.easing || function (t) {
-				var gain = Music.Mixins.gainToPerceptualVolume(gain);
-				gain = 1 - Math.cos(Math.PI * t / 2); // try graphing this on [0, 1]
-				return SonicUtils.clamp(gain, 0, 1);
-			};
+		section.ion('end', function () {
+			_this.trigger('section-end');
 
-		if (_this._fading.promise) {
-			if (priority < _this._fading.priority) {
-				return $.Deferred().reject();
+			if (closing) {
+				_this.trigger('cycle-end');
 			}
-			else {
-				_this._fading.promise.reject();
+
+			if (!overlaps) { // normal operation
+				advance.call(_this, null, true);
 			}
+		});
+
+		if (overlaps) {
+			section.ion('overlap', function () {
+				advance.call(_this);
+			});
 		}
 
-		_this._fading.priority = priority;
+		var late = lateness.call(_this);
+		var handover = overlapTime.call(_this, _this.section_set, _this.section) || section.duration();
 
-		var mutevol = function (v) {
-			return _this.muted ? 0 : v;
-		};
+		_this.section_lag = !offset && late < handover ? late : 0;
+		_this.next_beat = 0;
+		_this.next_cue = 0;
 
-		var promise = $.Deferred()
-			.done(function () {
-				_this.volume(mutevol(to * normalizer()));
-			})
-			.always(function () {
-				_this._fading = {};
-			});
+		// these if statements are in case the tiggers 
+		// end up pausing or stopping the music
+		if (_this.state === 'playing') {
+			if (_this.position === 0 && !offset) {
+				_this.trigger('cycle-begin');
+			}
 
-		// NOTE: Useful for efficiency, but maybe not so good
-		// if someone uses a custom easing function for
-		// osscillations.
-		if (Math.abs(to - this.gain) < 0.00001 || msec === 0) {
-			_this.volume(mutevol(to * normalizer()));
-			return promise.resolve();
+			_this.trigger('section-begin', _this.section_set, _this.section);
+
+			if (_this.state === 'playing') {
+				var sectionset = _this.section_set,
+					index = _this.section;
+
+				var vol = _this.muted ? 0 : sectionVolume.call(_this, _this.volume(), sectionset, index);
+
+				// a section can't crossfade into itself, so if it's the one
+				// still fading out (c.f. interrupt) it starts over instead
+				if (fadein && section.isFading()) {
+					section.cancelFade().stop();
+					fadein = null;
+				}
+
+				if (fadein) {
+					section.volume(0).play();
+					section.fade({ from: 0, to: vol, msec: fadein })
+						.done(function () {
+							section.volume(_this.muted ? 0 : sectionVolume.call(_this, _this.volume(), sectionset, index));
+						});
+				}
+				else {
+					section.volume(vol).play();
+				}
+
+				if (offset) {
+					section.pos(offset / 1000);
+				}
+
+				scheduleEvents.call(_this);
+			}
 		}
+	}
 
-		_this.volume(from * normalizer());
+	function beginIntro (offset) {
+		var _this = this;
 
-		var start = window.performance.now();
-		var delta = to - from;
+		var terminalevt = overlapTime.call(this, -1, 0)
+			? 'overlap'
+			: 'end';
 
-		var stepper = setInterval(function () {
-			var now = window.performance.now();
-			var t = (now - start) / msec;
+		this.intro.ion(terminalevt, function () {
+			advance.call(_this, null, terminalevt === 'end');
+		});
 
-			if (t >= 1) {
-				promise.resolve();
+		this.intro.play();
+
+		if (offset) {
+			this.intro.pos(offset / 1000);
+		}
+
+		this.section_lag = 0;
+		this.next_beat = 0;
+		this.next_cue = 0;
+
+		scheduleEvents.call(this);
+
+		this.trigger('section-begin', _this.section_set, _this.section);
+	}
+
+	/* scheduleEvents
+	 *
+	 * Times the overlap and finale events of the section now playing
+	 * against the audio clock rather than the main thread's timers.
+	 * Call whenever it begins, resumes, or changes position.
+	 *
+	 * Events are timed from when the section was due to begin rather than 
+	 * when it did, keeping the piece on its own schedule. If it began late, 
+	 * the next section takes over that much earlier in its audio. So the 
+	 * seams don't drift, though each may still be a few msec off 
+	 * (c.f. beginSection), i.e. this isn't sample accurate.
+	 */
+	function scheduleEvents () {
+		var _this = this;
+
+		var section = this.nowPlaying();
+
+		cancelEvents.call(this);
+
+		if (!section || this.state !== 'playing') {
+			return;
+		}
+
+		// when the section was due to begin on the audio clock, c.f. beginSection
+		var start = SonicClock.now() - section.pos() * 1000 - this.section_lag;
+		var overlap = overlapTime.call(this, this.section_set, this.section);
+
+		this.section_start = start;
+		this.seam = start + (overlap || section.duration());
+
+		var transition = transitionFor.call(this, this.section_set, this.section);
+		var crossfade = transition.type === 'crossfade' 
+			&& !this.finishing 
+			&& !(this.end_stop && this.isLastSection());
+
+		if (crossfade) {
+			var handover = this.seam - Math.min(transition.msec, this.seam - start);
+			this.seam = handover;
+
+			this.clock_events.push(SonicClock.at(handover, function () {
+				crossfadeOut.call(_this, transition.msec, handover, overlap);
+			}));
+		}
+		else if (overlap) {
+			this.clock_events.push(SonicClock.at(start + overlap, function () {
+				section.on('overlap');
+			}));
+		}
+
+		if (this.finale_due) {
+			// before the handover, which is when the piece ends or the outro begins
+			var msec = Math.max((overlap || section.duration()) - this.finale, 0);
+
+			this.clock_events.push(SonicClock.at(start + msec, function () {
+				_this.finale_due = false;
+				_this.trigger('finale');
+			}));
+		}
+
+		if (this.bpm) {
+			scheduleBeats.call(this, start, this.seam - start);
+		}
+
+		scheduleCues.call(this, start, this.seam - start);
+	}
+
+	/* crossfadeOut
+	 *
+	 * Fades out the section now playing while the next one fades in, 
+	 * c.f. the transition option.
+	 *
+	 * Required:
+	 *   [0] msec: fade duration
+	 *   [1] handover: msec on the audio clock at which the crossfade was due
+	 *   [2] overlap: msec, the section's overlap or null
+	 */
+	function crossfadeOut (msec, handover, overlap) {
+		var _this = this;
+
+		var section = this.nowPlaying();
+
+		// if the piece began wrapping up since the crossfade was 
+		// scheduled, the last section rings out as usual
+		if (this.finishing || (this.end_stop && this.isLastSection())) {
+			if (overlap) {
+				this.clock_events.push(SonicClock.at(handover + msec, function () {
+					section.on('overlap');
+				}));
+			}
+
+			return;
+		}
+
+		interrupt.call(this, msec);
+
+		// in case section-end events stopped the piece
+		if (this.state !== 'playing') {
+			return;
+		}
+
+		this.seam = handover; // so the next section is timed from when it was due
+		advance.call(this, msec, true);
+	}
+
+	/* scheduleCues
+	 *
+	 * Emits "cue" events for the named moments of the section now 
+	 * playing (c.f. the cues option) that are still to come. As with 
+	 * beats, cues that were due only a moment ago still fire, unless
+	 * they already have (e.g. before a pause), c.f. next_cue.
+	 *
+	 * Required:
+	 *   [0] start: msec on the audio clock at which the section began
+	 *   [1] length: msec of the section to mark out
+	 */
+	function scheduleCues (start, length) {
+		var _this = this;
+
+		var sectionset = this.section_set,
+			section = this.section;
+
+		var name = sectionName(sectionset, section);
+		var elapsed = SonicClock.now() - start - SonicClock.lookahead;
+
+		(this.cues[name] || []).forEach(function (cue, i) {
+			if (i < _this.next_cue || cue.at < elapsed || cue.at >= length) {
 				return;
 			}
 
-			var vol = from + delta * easing(t);
-			vol *= normalizer();
+			_this.clock_events.push(SonicClock.at(start + cue.at, function () {
+				_this.next_cue = Math.max(_this.next_cue, i + 1);
 
-			_this.volume(mutevol(vol));
-		}, 15); // max guaranteed resolution
+				_this.trigger('cue', {
+					section_set: sectionset,
+					section: section,
+					name: name,
+					cue: cue.name,
+					at: cue.at,
+				});
+			}));
+		});
+	}
 
-		_this._fading.promise = promise;
+	// Cues that scheduleCues will always drop for coming at or after 
+	// their section's overlap, e.g. [ 'A2 drop' ]
+	function lateCues () {
+		var _this = this;
+		var late = [];
 
-		return promise.always(function () {
-			clearInterval(stepper);
+		Object.keys(this.cues).forEach(function (name) {
+			var pos = sectionPosition(name);
+			var overlap = overlapTime.call(_this, pos[0], pos[1]);
+
+			_this.cues[name].forEach(function (cue) {
+				if (overlap && cue.at >= overlap) {
+					late.push(name + ' ' + cue.name);
+				}
+			});
 		});
+
+		return late;
+	}
+
+	/* scheduleBeats
+	 *
+	 * Emits "bar" and "beat" events for the section now playing
+	 * from the upcoming beat until it hands over to the next section.
+	 * Beats that were due only a moment ago (e.g. the downbeat of a
+	 * section that started late) still fire, unless they already
+	 * have (e.g. before a pause), c.f. next_beat.
+	 *
+	 * Required:
+	 *   [0] start: msec on the audio clock at which the section began
+	 *   [1] length: msec of the section to mark out
+	 */
+	function scheduleBeats (start, length) {
+		var _this = this;
+
+		var beatmsec = 60000 / this.bpm;
+
+		var sectionset = this.section_set,
+			section = this.section;
+
+		var elapsed = SonicClock.now() - start - SonicClock.lookahead;
+		var beat = Math.max(Math.ceil(elapsed / beatmsec), this.next_beat, 0);
+
+		var next = function () {
+			if (beat * beatmsec >= length) {
+				_this.beat_event = null;
+				return;
+			}
+
+			_this.beat_event = SonicClock.at(start + beat * beatmsec, function () {
+				var evt = {
+					section_set: sectionset,
+					section: section,
+					name: sectionName(sectionset, section),
+					bar: Math.floor(beat / _this.beats_per_bar) + 1,
+					beat: beat % _this.beats_per_bar + 1,
+				};
+
+				beat++;
+				_this.next_beat = beat;
+				next();
+
+				if (evt.beat === 1) {
+					_this.trigger('bar', evt);
+				}
+
+				_this.trigger('beat', evt);
+			});
+		};
+
+		next();
+	}
+
+	function cancelEvents () {
+		SonicClock.cancel(this.clock_events);
+		SonicClock.cancel(this.beat_event);
+		this.clock_events = [];
+		this.beat_event = null;
+	}
+
+	// How a section hands over to the next, c.f. transition and section_transitions
+	function transitionFor (sectionset, section) {
+		return this.section_transitions[sectionName(sectionset, section)] || this.transition;
+	}
+
+	// The volume a section plays at when the piece is at vol, c.f. trims and ducking
+	function sectionVolume (vol, sectionset, section) {
+		var db = this.trims[sectionName(sectionset, section)] || 0;
+
+		return SonicUtils.clamp(vol * Math.pow(10, db / 20) * this.ducking, 0, 1);
+	}
+
+	// msec that the next section is overdue according to the 
+	// audio clock, consumed by whichever section begins next 
+	// (c.f. section_lag)
+	function lateness () {
+		var late = this.seam !== null
+			? SonicClock.now() - this.seam
+			: 0;
+
+		this.seam = null;
+
+		return Math.max(late, 0);
+	}
+
+	// The finale event is an early warning signal so that
+	// things like fade outs can be implmented before the track
+	// completely dies. It's timed by scheduleEvents.
+	function processFinaleEvent (section) {
+		this.finale_due = this.finale !== null
+			&& !!section
+			&& this.isLastSection();
+	}
+
+	// Is this the last section that's going to play before the end?
+	Music.SonicShuffle.prototype.isLastSection = function () {
+		// null before the first section, -1 and -2 for the intro and outro
+		var insection = this.section_set !== null && this.section_set >= 0;
+
+		if (this.finishing) {
+			return true;
+		}
+		else if (this.end === 'section') {
+			return insection;
+		}
+		else if (this.end === 'cycle') {
+			return insection 
+				&& this.next_position === 0;
+		}
+		else if (this.end === 'fullcycle') {
+			// full cycle
+			return insection
+				&& this.closes_fullcycle;
+		}
+		else if (this.end === 'cycles') {
+			return insection 
+				&& this.next_position === 0
+				&& this.cycles_played + 1 >= this.cycles;
+		}
+		else if (this.end === 'duration') {
+			// the section during which the duration runs out
+			return insection
+				&& this.elapsed + sectionLength.call(this, this.section_set, this.section) >= this.duration;
+		}
+
+		// loop
+		return false;
 	};
 
-	Music.SonicShuffle.prototype.isFading = function () {
-		return !!this._fading.promise;
+	/* barLength
+	 *
+	 * Return: msec per bar, or null if no bpm was given
+	 */
+	Music.SonicShuffle.prototype.barLength = function () {
+		return this.bpm
+			? this.beats_per_bar * 60000 / this.bpm
+			: null;
 	};
 
-	Music.SonicShuffle.prototype.cancelFade = function (priority) {
-		priority = priority || 0;
+	/* leaveSection
+	 *
+	 * Tallies the section that's about to be left behind
+	 * toward the cycles and duration end modes.
+	 */
+	function leaveSection () {
+		if (this.section_set === null) {
+			return;
+		}
 
-		if (this._fading.promise
-			&& this._fading.priority <= priority) {
+		this.elapsed += this.interrupted_at !== null
+			? this.interrupted_at
+			: sectionLength.call(this, this.section_set, this.section);
 
-			this._fading.promise.reject();
+		this.interrupted_at = null;
+
+		if (this.section_set >= 0 && this.next_position === 0) {
+			this.cycles_played++;
 		}
+	}
 
-		return this;
-	};
+	/* sectionLength
+	 *
+	 * How long a section plays before the next one begins,
+	 * i.e. its overlap if overlaps are in use, else its duration.
+	 *
+	 * Required:
+	 *   [0] sectionset: index, -1 for the intro, -2 for the outro
+	 *   [1] section: index
+	 *
+	 * Return: msec
+	 */
+	function sectionLength (sectionset, section) {
+		var howl = sectionset === -1 ? this.intro
+			: sectionset === -2 ? this.outros[section]
+			: this.sections[sectionset][section];
+
+		return overlapTime.call(this, sectionset, section) || howl.duration();
+	}
+
+	/* overlapTime
+	 *
+	 * Required:
+	 *   [0] sectionset: index, -1 for the intro, -2 for the outro
+	 *   [1] section: index
+	 *
+	 * Return: msec into the section at which the next one begins 
+	 *   (or for the outro, "end" is emitted), or null if at its end
+	 */
+	function overlapTime (sectionset, section) {
+		var overlap;
+
+		if (sectionset === -1) {
+			overlap = this.overlap_intro;
+		}
+		else if (sectionset === -2) {
+			overlap = Array.isArray(this.overlap_outro)
+				? this.overlap_outro[section]
+				: this.overlap_outro;
+		}
+		else {
+			overlap = this.overlaps && (this.overlaps[sectionset] || [])[section];
+		}
+
+		return overlap || null;
+	}
+
+	/* moveToSucessorState
+	 *
+	 * The sonic shuffle can be viewed as a
+	 * cyclic finite automaton that is constructed in
+	 * layers (Section Sets) that contain edges
+	 * from each node in the layer to all nodes 
+	 * in the next layer. As nodes are visited,
+	 * their incoming edges are pruned. 
+	 *
+	 * When the cycle is broken via the pruning process,
+	 * the graph is reinstated upon visiting the terminal layer T
+	 * or the start layer S.
+	 *
+	 * Entering S generates a "cycle-start" event, while leaving T
+	 * generates a "cycle-end" event.
+	 *
+	 * The visitation graph (equivalent ot the edge description above) is stored 
+	 * in this.section_states as boolean values.
+	 *
+	 * If a graph was provided, the layers are no longer visited in
+	 * a fixed order. Instead, the successor layer is drawn from the graph's 
+	 * probabilities as soon as a layer is entered (so we know in advance
+	 * whether a section closes a cycle). S is always layer A, so:
+	 *
+	 *    cycle-begin: A section from A begins.
+	 *    cycle-end: A section whose successor layer is A ends.
+	 *    fullcycle: A is about to be entered, but some layer has 
+	 *        no unplayed sections left.
+	 *
+	 * If a form was provided, the layers are the positions of the form rather
+	 * than the section sets, and several layers may draw from the same section set. 
+	 * A full cycle then ends when some section set can't supply enough unplayed 
+	 * sections for all of its positions in the next cycle.
+	 *
+	 * If a layer is revisited within a cycle and has run out of 
+	 * unplayed sections, that layer alone is reinstated.
+	 *
+	 * The walk through the automaton is decided ahead of time by
+	 * commitSection, so this function only advances to the next
+	 * committed section and emits the events that go with it.
+	 */
+	function moveToSucessorState () {
+		if (this.queue.length === 0) {
+			commitSection.call(this);
+		}
+
+		var entry = this.queue.shift();
+
+		leaveSection.call(this);
+
+		this.position = entry.position;
+		this.section_set = entry.section_set;
+		this.section = entry.section;
+		this.next_position = entry.next_position;
+		this.closes_fullcycle = entry.closes_fullcycle;
+
+		if (entry.fullcycle) {
+			this.trigger('fullcycle');
+		}
+
+		// in case fullcycle events call stop or pause
+		if (this.state !== 'playing') {
+			return null;
+		}
+
+		fillQueue.call(this);
+
+		return this.nowPlaying();
+	}
+
+	/* commitSection
+	 *
+	 * Decides which section follows the last one committed 
+	 * (or the one now playing) and appends it to the queue. The 
+	 * section is marked as played right away so that choices 
+	 * further down the queue respect the full cycle.
+	 *
+	 * Each entry keeps a snapshot of the bookkeeping from before 
+	 * it was committed so that the queue can be discarded.
+	 *
+	 * Return: entry
+	 */
+	function commitSection () {
+		var tail = this.queue.length
+			? this.queue[this.queue.length - 1]
+			: this;
+
+		var sectionset = tail.section_set,
+			section = tail.section;
+
+		// If stopped, play will begin with the intro
+		if (tail === this && this.state === 'stopped' && sectionset === null && this.intro) {
+			sectionset = -1;
+			section = 0;
+		}
+
+		var previous = sectionName(sectionset, section);
+
+		// For first play or transition from intro.
+		var position = (sectionset === null || sectionset === -1)
+			? 0
+			: tail.next_position;
+
+		var entry = {
+			position: position,
+			section_set: this.form[position],
+			states_before: copyStates(this.section_states),
+			history_before: this.cycle_history.slice(),
+			random_before: this.randomState(),
+			fullcycle: false,
+		};
+
+		if (position === 0 
+			&& !cycleExists(this.section_states, this.demand)) {
+			
+			entry.fullcycle = true;
+			this.section_states = resetSectionsPlayed(this.sections);
+		}
+
+		entry.next_position = successorPosition.call(this, position);
+		entry.section = selectSection.call(this, entry.section_set, previous, entry.next_position);
+
+		markPlayed.call(this, position, entry.section_set, entry.section);
+
+		entry.closes_fullcycle = entry.next_position === 0
+			&& !cycleExists(this.section_states, this.demand);
+
+		this.queue.push(entry);
+
+		return entry;
+	}
+
+	// Commit sections until the lookahead is satisfied
+	function fillQueue () {
+		while (this.queue.length < this.lookahead) {
+			commitSection.call(this);
+		}
+	}
+
+	// Undo all committed but unplayed choices
+	function discardQueue () {
+		if (this.queue.length === 0) {
+			return;
+		}
+
+		this.section_states = this.queue[0].states_before;
+		this.cycle_history = this.queue[0].history_before;
+		this.queue = [];
+	}
+
+	function markPlayed (position, sectionset, section) {
+		if (position === 0) {
+			this.cycle_history = [];
+		}
+
+		this.section_states[sectionset][section] = false;
+		this.cycle_history.push([ sectionset, section ]);
+	}
+
+	/* upcoming
+	 *
+	 * Preview the sections that will play next, e.g. to display 
+	 * them or to prefetch their audio. Previewing commits the 
+	 * shuffle to playing these sections in this order.
+	 *
+	 * Optional:
+	 *   [0] n: number of sections to look ahead, defaults to 1
+	 *
+	 * Return: [ { section_set, section, name, howl }, ... ]
+	 */
+	Music.SonicShuffle.prototype.upcoming = function (n) {
+		var _this = this;
+
+		n = SonicUtils.nvl(n, 1);
+
+		if (this.sections.length === 0) {
+			return [];
+		}
+
+		while (this.queue.length < n) {
+			commitSection.call(this);
+		}
+
+		return this.queue.slice(0, n).map(function (entry) {
+			return {
+				section_set: entry.section_set,
+				section: entry.section,
+				name: sectionName(entry.section_set, entry.section),
+				howl: _this.sections[entry.section_set][entry.section],
+			};
+		});
+	};
+
+	/* mood
+	 *
+	 * Sections tagged with the mood are drawn ahead of the other 
+	 * unplayed sections in their set, so every section still plays 
+	 * once per full cycle. Sections already decided upon (c.f. upcoming)
+	 * are decided again.
+	 *
+	 * Optional:
+	 *   [0] moods: string or [ strings ], [] for no preference
+	 *
+	 * Return: [ moods ] if getting, this if setting
+	 */
+	Music.SonicShuffle.prototype.mood = function (moods) {
+		if (moods === undefined) {
+			return this.moods.slice();
+		}
+
+		this.moods = [].concat(moods || []);
+
+		if (this.queue.length) {
+			discardQueue.call(this);
+
+			if (!this.finishing) {
+				fillQueue.call(this);
+			}
+		}
+
+		this.trigger('mood', this.moods.slice());
+
+		return this;
+	};
+
+	/* selectSection
+	 *
+	 * Draw an unplayed section from a section set, taking
+	 * into account the transition constraints and weights.
+	 *
+	 * Required:
+	 *   [0] sectionset: index
+	 *   [1] previous: name of the preceding section or null
+	 *   [2] nextposition: the position in the form that will follow
+	 *
+	 * Return: section index
+	 */
+	function selectSection (sectionset, previous, nextposition) {
+		if (this.section_states[sectionset].indexOf(true) === -1) {
+			this.section_states[sectionset] = this.sections[sectionset].map(function () {
+				return true;
+			});
+		}
+
+		// map [ true, false, true, true, false, true ]
+		// to  [ 0, 2, 3, 5 ]
+
+		var counter = 0;
+		var possible = this.section_states[sectionset].map(function (bool) {
+			counter++;
+			return bool 
+				? counter - 1
+				: null;
+		}).filter(function (x) { return x !== null });
+
+		var _this = this;
+
+		var forbidden = this.forbidden[previous] || {},
+			preferred = this.preferred[previous] || {};
+
+		var candidates = possible.filter(function (i) {
+			return !forbidden[sectionName(sectionset, i)];
+		});
+
+		if (candidates.length === 0) {
+			console.warn("No permitted successor to " + previous + " remains. Ignoring forbidden transitions.");
+			candidates = possible;
+		}
+
+		// Avoid painting ourselves into a corner where the 
+		// only sections left can't follow each other. With a graph,
+		// the path is random, so we can only look one step ahead.
+		var viable = candidates.filter(function (i) {
+			var ok;
+
+			_this.section_states[sectionset][i] = false;
+
+			if (_this.graph) {
+				ok = permitsSuccessor.call(_this, _this.section_states, nextposition, sectionName(sectionset, i));
+			}
+			else {
+				ok = completableFullCycle.call(_this, _this.section_states, nextposition, sectionName(sectionset, i));
+			}
+
+			_this.section_states[sectionset][i] = true;
+
+			return ok;
+		});
+
+		if (viable.length) {
+			candidates = viable;
+		}
+
+		// Of what's left, play the sections that suit the mood best
+		var fits = candidates.map(function (i) {
+			var tags = _this.tags[sectionName(sectionset, i)] || [];
+
+			return _this.moods.filter(function (mood) {
+				return tags.indexOf(mood) !== -1;
+			}).length;
+		});
+
+		var bestfit = Math.max.apply(Math, fits);
+
+		if (bestfit > 0) {
+			candidates = candidates.filter(function (i, index) {
+				return fits[index] === bestfit;
+			});
+		}
+
+		var favored = candidates.filter(function (i) {
+			return preferred[sectionName(sectionset, i)];
+		});
+
+		if (favored.length) {
+			candidates = favored;
+		}
+
+		// Weights only bias the order in which the unplayed
+		// sections are drawn, so the full cycle still completes.
+		var weights = this.weights[sectionset];
+		var index = SonicUtils.biased_random_index(candidates.map(function (i) {
+			return weights[i];
+		}), this.rng);
+
+		return candidates[index];
+	}
+
+	/* completableFullCycle
+	 *
+	 * Searches for an ordering of the remaining unplayed sections that 
+	 * completes the current full cycle without using any forbidden 
+	 * transitions. 
+	 *
+	 * The search is abandoned (and assumed to succeed) if
+	 * the piece is too large to check in reasonable time.
+	 *
+	 * Required:
+	 *   [0] played: section_states, will be restored before returning
+	 *   [1] position: The next position in the form to be drawn from
+	 *   [2] previous: The name of the section preceding it
+	 *
+	 * Return: boolean
+	 */
+	function completableFullCycle (played, position, previous) {
+		var _this = this;
+
+		if (this.sections.length === 0 || Object.keys(this.forbidden).length === 0) {
+			return true;
+		}
+
+		var budget = 20000;
+
+		function search (position, previous) {
+			if (position === 0 && !cycleExists(played, _this.demand)) {
+				return true;
+			}
+			else if (budget-- <= 0) {
+				return true;
+			}
+
+			var sectionset = _this.form[position];
+			var banned = _this.forbidden[previous] || {};
+
+			for (var i = 0; i < _this.sections[sectionset].length; i++) {
+				var name = sectionName(sectionset, i);
+
+				if (!played[sectionset][i] || banned[name]) {
+					continue;
+				}
+
+				played[sectionset][i] = false;
+				var found = search((position + 1) % _this.form.length, name);
+				played[sectionset][i] = true;
+
+				if (found) {
+					return true;
+				}
+			}
+
+			return false;
+		}
+
+		return search(position, previous);
+	}
+
+	// Can any section at position follow previous?
+	function permitsSuccessor (played, position, previous) {
+		var sectionset = this.form[position];
+		var banned = this.forbidden[previous] || {};
+
+		// entering the start of the form may reset everything
+		var fresh = position === 0 && !cycleExists(played, this.demand);
+
+		for (var i = 0; i < this.sections[sectionset].length; i++) {
+			if ((fresh || played[sectionset][i]) && !banned[sectionName(sectionset, i)]) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	// Draws the position in the form that follows position
+	function successorPosition (position) {
+		if (!this.graph) {
+			return (position + 1) % this.form.length;
+		}
+
+		return SonicUtils.biased_random_index(this.graph[position], this.rng);
+	}
+
+	/* graphCycles
+	 *
+	 * Checks that every section set can be reached from A
+	 * and that A can be reached from every section set, 
+	 * i.e. every cycle eventually ends.
+	 *
+	 * Required:
+	 *   [0] graph: matrix of transition weights
+	 *
+	 * Return: boolean
+	 */
+	function graphCycles (graph) {
+		function reachable (start, adjacent) {
+			var seen = [ start ];
+			var stack = [ start ];
+
+			while (stack.length) {
+				var node = stack.pop();
+
+				for (var i = 0; i < graph.length; i++) {
+					if (adjacent(node, i) && seen.indexOf(i) === -1) {
+						seen.push(i);
+						stack.push(i);
+					}
+				}
+			}
+
+			return seen.length === graph.length;
+		}
+
+		return reachable(0, function (a, b) { return graph[a][b] > 0; })
+			&& reachable(0, function (a, b) { return graph[b][a] > 0; });
+	}
+
+	// demand: how many unplayed sections each section set needs 
+	// to provide for a cycle, defaults to one each.
+	function cycleExists (visitgraph, demand) {
+		function unplayed (count, x) { return x ? count + 1 : count };
+
+		return visitgraph.reduce(function (a, b, i) {
+			var needed = demand ? demand[i] : 1;
+			return a && b.reduce(unplayed, 0) >= needed;
+		}, true);
+	}
+
+	/* skip
+	 *
+	 * Cut the current section short and move on to
+	 * the next one as though it had ended normally.
+	 *
+	 * Optional:
+	 *   crossfade: msec to fade out the current section while
+	 *       fading in the next one. Defaults to an immediate cut.
+	 *
+	 * Return: this
+	 */
+	Music.SonicShuffle.prototype.skip = function (args) {
+		args = args || {};
+
+		if (this.state !== 'playing') {
+			return this;
+		}
+
+		interrupt.call(this, args.crossfade);
+
+		// in case section-end events stopped the piece
+		if (this.state !== 'playing') {
+			return this;
+		}
+
+		advance.call(this, args.crossfade, true);
+
+		return this;
+	};
+
+	/* jumpTo
+	 *
+	 * Cut the current section short and play the specified one. 
+	 * If the shuffle isn't playing, it starts playing from there. 
+	 * The section is marked as played for the current full cycle.
+	 *
+	 * Required:
+	 *   [0] sectionset: index or letter e.g. 1 or 'B'
+	 *
+	 * Optional:
+	 *   [1] section: index, if omitted an unplayed section is drawn as usual
+	 *   [2] args: { crossfade: msec }
+	 *
+	 * Return: this
+	 */
+	Music.SonicShuffle.prototype.jumpTo = function (sectionset, section, args) {
+		args = args || {};
+
+		sectionset = parseSetName(sectionset);
+
+		if (sectionset === null || !this.sections[sectionset]) {
+			console.error("Unable to jump to section set " + sectionset + ".");
+			return this;
+		}
+		else if (section !== undefined && section !== null && !this.sections[sectionset][section]) {
+			console.error("Unable to jump to section " + sectionName(sectionset, section) + ".");
+			return this;
+		}
+
+		// find the next appearance of the set in the form
+		var start = this.section_set !== null && this.section_set >= 0 ? this.position + 1 : 0;
+		var position = this.form.indexOf(sectionset);
+
+		for (var i = 0; i < this.form.length; i++) {
+			var candidate = (start + i) % this.form.length;
+			if (this.form[candidate] === sectionset) {
+				position = candidate;
+				break;
+			}
+		}
+
+		if (position === -1) {
+			console.error("Section set " + sectionName(sectionset, 0).charAt(0) + " is not part of the form.");
+			return this;
+		}
+
+		enterPosition.call(this, position, section, args.crossfade);
+
+		return this;
+	};
+
+	/* restartCycle
+	 *
+	 * Abandon the current cycle and start a new one from its first 
+	 * section set. Sections played during the abandoned cycle are
+	 * returned to the pool so the full cycle remains intact.
+	 *
+	 * Optional:
+	 *   crossfade: msec
+	 *
+	 * Return: this
+	 */
+	Music.SonicShuffle.prototype.restartCycle = function (args) {
+		args = args || {};
+
+		var _this = this;
+
+		discardQueue.call(this);
+
+		this.cycle_history.forEach(function (pair) {
+			_this.section_states[pair[0]][pair[1]] = true;
+		});
+
+		this.cycle_history = [];
+
+		enterPosition.call(this, 0, null, args.crossfade);
+
+		return this;
+	};
+
+	/* stinger
+	 *
+	 * Play a short flourish over the top of the shuffle, e.g. for a level up.
+	 * At the next beat the current section is cut (paused) or ducked, the stinger 
+	 * plays, and then the shuffle picks back up where it was or moves on to 
+	 * another section set. Emits "stinger-begin" and "stinger-end" with the url.
+	 *
+	 * Required:
+	 *   [0] url: filepath of the stinger
+	 *
+	 * Optional:
+	 *   [1] args: 
+	 *       quantize: 'beat', 'bar', or 'section', c.f. nextBoundary. Defaults 
+	 *           to 'beat' if the piece has a bpm, otherwise the stinger plays immediately.
+	 *       duck: float in [0, 1], keep the shuffle going at this fraction of its 
+	 *           volume rather than cutting it
+	 *       resume: boolean, pick back up where the shuffle left off (default)
+	 *       jumpTo: section set (e.g. 'B') or [ set, section ] to continue from instead
+	 *       crossfade: msec, for jumpTo
+	 *
+	 * Return: this
+	 */
+	Music.SonicShuffle.prototype.stinger = function (url, args) {
+		args = args || {};
+
+		var _this = this;
+
+		if (this.state !== 'playing') {
+			return this;
+		}
+
+		var howl = this.stingers[url] = this.stingers[url] || howlFactory(url, this.gain);
+
+		var request = ++this.stinger_request;
+
+		var quantize = SonicUtils.nvl(args.quantize, this.bpm ? 'beat' : null);
+		var boundary = quantize
+			? this.nextBoundary(quantize)
+			: $.Deferred().resolve();
+
+		boundary.done(function () {
+			if (request !== _this.stinger_request || _this.state !== 'playing') {
+				return;
+			}
+
+			beginStinger.call(_this, url, howl, args);
+		});
+
+		return this;
+	};
+
+	function beginStinger (url, howl, args) {
+		var _this = this;
+
+		var ducking = args.duck !== undefined && args.duck !== null;
+
+		if (this.stinger_playing) {
+			this.stinger_playing.howl.off('end').stop();
+		}
+
+		this.stinger_playing = { url: url, howl: howl };
+
+		if (ducking) {
+			duck.call(this, SonicUtils.clamp(args.duck, 0, 1), 150);
+		}
+		else {
+			this.pause();
+		}
+
+		howl.ion('end', function () {
+			_this.stinger_playing = null;
+			_this.trigger('stinger-end', url);
+
+			// the shuffle was stopped or restarted in the meantime
+			if (_this.state === 'stopped') {
+				return;
+			}
+
+			// restores the volume even if an earlier stinger did the ducking
+			duck.call(_this, 1, 150);
+
+			if (args.jumpTo !== undefined && args.jumpTo !== null) {
+				var target = [].concat(args.jumpTo);
+				_this.jumpTo(target[0], target[1], { crossfade: args.crossfade });
+			}
+			else if (SonicUtils.nvl(args.resume, true) && _this.state === 'paused') {
+				_this.play();
+			}
+		});
+
+		this.trigger('stinger-begin', url);
+
+		howl.volume(this.muted ? 0 : this.volume()).play();
+	}
+
+	/* duck
+	 *
+	 * Lowers or restores the volume of the sections under a stinger
+	 * without changing the volume of the piece, c.f. this.ducking.
+	 *
+	 * Required:
+	 *   [0] level: fraction of the volume, 1 to restore
+	 *   [1] msec: over this long
+	 */
+	function duck (level, msec) {
+		var _this = this;
+
+		clearInterval(this.duck_stepper);
+		this.duck_stepper = null;
+
+		var from = this.ducking;
+
+		if (from === level) {
+			return;
+		}
+
+		var start = window.performance.now();
+
+		var step = function () {
+			var t = msec ? Math.min((window.performance.now() - start) / msec, 1) : 1;
+
+			_this.ducking = from + (level - from) * t;
+			applyVolume.call(_this);
+
+			if (t >= 1) {
+				clearInterval(_this.duck_stepper);
+				_this.duck_stepper = null;
+			}
+		};
+
+		this.duck_stepper = setInterval(step, 15);
+		step();
+	}
+
+	// Calls fn(howl, url) for each stinger loaded so far
+	function forEachStinger (fn) {
+		var _this = this;
+
+		Object.keys(this.stingers).forEach(function (url) {
+			fn(_this.stingers[url], url);
+		});
+	}
+
+	/* enterPosition
+	 *
+	 * Interrupts whatever is playing and begins playing
+	 * from the given position in the form.
+	 *
+	 * Required:
+	 *   [0] position: index into this.form
+	 *   [1] section: index or null to draw one
+	 *   [2] crossfade: msec or null
+	 */
+	function enterPosition (position, section, crossfade) {
+		var previous = sectionName(this.section_set, this.section);
+
+		discardQueue.call(this);
+
+		if (this.state !== 'stopped') {
+			interrupt.call(this, crossfade);
+		}
+
+		leaveSection.call(this);
+
+		this.finishing = false;
+
+		var starting = this.state === 'stopped';
+
+		this.state = 'playing';
+
+		if (starting) {
+			this.trigger('play');
+		}
+
+		this.position = position;
+		this.section_set = this.form[position];
+		this.next_position = successorPosition.call(this, position);
+
+		if (section === undefined || section === null) {
+			section = selectSection.call(this, this.section_set, previous, this.next_position);
+		}
+
+		this.section = section;
+		markPlayed.call(this, position, this.section_set, this.section);
+
+		this.closes_fullcycle = this.next_position === 0
+			&& !cycleExists(this.section_states, this.demand);
+
+		fillQueue.call(this);
+
+		processFinaleEvent.call(this, this.nowPlaying());
+		beginSection.call(this, this.nowPlaying(), 0, crossfade);
+	}
+
+	/* interrupt
+	 *
+	 * Ends the current section early as though it had 
+	 * completed normally, detaching its transitions.
+	 *
+	 * Optional:
+	 *   [0] msec: fade out over this duration rather than cutting
+	 */
+	function interrupt (msec) {
+		var _this = this;
+		var section = this.nowPlaying();
+
+		if (!section) {
+			return;
+		}
+
+		var closing = this.section_set !== -1 
+			&& this.next_position === 0;
+
+		this.interrupted_at = section.pos() * 1000;
+		this.seam = null;
+
+		cancelEvents.call(this);
+
+		section.off('end').off('overlap').off('finale');
+
+		if (msec) {
+			section
+				.fade({ from: section.volume(), to: 0, msec: msec })
+				.always(function () {
+					// unless the same section was chosen to play next, c.f. beginSection
+					if (section !== _this.nowPlaying()) {
+						section.stop();
+					}
+				});
+		}
+		else {
+			section.stop();
+		}
+
+		this.trigger('section-end');
+
+		if (closing) {
+			this.trigger('cycle-end');
+		}
+	}
+
+	Music.SonicShuffle.prototype.pause = function () {
+		if (!this.nowPlaying() || this.state !== 'playing') {
+			return this;
+		}
+
+		this.state = 'paused';
+		this.nowPlaying().pause();	
+		cancelEvents.call(this);
+		resolveBoundaries.call(this);
+
+		this.trigger('pause');
+
+		return this;
+	};
+
+	Music.SonicShuffle.prototype.stop = function () {
+		this.state = 'stopped';
+		
+		this.forEachSection(function (section) {
+			section.stop();
+		});
+
+		this.section_set = null;
+		this.section = null;
+		this.position = null;
+		this.next_position = null;
+		this.resume_offset = null;
+		this.cycle_history = [];
+		this.closes_fullcycle = false;
+		this.finishing = false;
+		this.cycles_played = 0;
+		this.elapsed = 0;
+		this.interrupted_at = null;
+		this.seam = null;
+		this.section_start = null;
+		this.section_lag = 0;
+		this.next_beat = 0;
+		this.next_cue = 0;
+		this.finale_due = false;
+		this.queue = [];
+
+		if (this.stinger_playing) {
+			this.stinger_playing.howl.off('end');
+			this.stinger_playing = null;
+		}
+
+		forEachStinger.call(this, function (howl) {
+			howl.stop();
+		});
+
+		clearInterval(this.duck_stepper);
+		this.duck_stepper = null;
+		this.ducking = 1;
+
+		cancelEvents.call(this);
+		resolveBoundaries.call(this);
+
+		this.section_states = resetSectionsPlayed(this.sections);
+
+		this.trigger('stop');
+
+		return this;
+	};
+
+	Music.SonicShuffle.prototype.mute = function () {
+		this.muted = true;
+
+		this.forEachSection(function (section) {
+			section.mute();
+		});
+
+		forEachStinger.call(this, function (howl) {
+			howl.mute();
+		});
+
+		this.trigger('mute', true);
+
+		return this;
+	};
+
+	Music.SonicShuffle.prototype.unmute = function () {
+		this.muted = false;
+
+		this.forEachSection(function (section) {
+			section.unmute();
+		});
+
+		forEachStinger.call(this, function (howl) {
+			howl.unmute();
+		});
+
+		this.volume(this.volume());
+
+		this.trigger('mute', false);
+
+		return this;
+	};
+
+	/* fade
+	 *
+	 * Smoothly interpolate the volume of the piece from one position
+	 * to the other.
+	 *
+	 * There are some tricky situations that pop up since various UI 
+	 * events of differing importance will compete for volume control. 
+	 *
+	 * Additionally, because of the nature of the Sonic Shuffle, some 
+	 * subsections may be cross fading independently at the same time that
+	 * the piece as a whole is attempting to fade. This competition can result
+	 * in static as gain values ping pong between the two masters 
+	 * if not carefully managed.
+	 *
+	 * Towards these ends, this fading feature attempts to balance several concerns.
+	 * 
+	 * By default, the if you call a fade while another is in progress, it will cancel
+	 * and initiate a fade in the new direction. However, the return type is a jQuery
+	 * deferred so you can use .fail or .always to ensure your post-fade callback is 
+	 * executed (though you might only want it to execute on success, this is your choice).
+	 *
+	 * To handle competing priorities, a higher priority fade (priority argument) essentially 
+	 * acquires a lock on the volume control. Only an equal or higher priorty fade can override it.
+	 * This is important for, e.g. the mute button.
+	 *
+	 * While I think the provided easing function is awesome (cosine decay), you might want to 
+	 * provide your own (e.g. sinusoidal, exponential, etc). The easing function makes this 
+	 * possible. 
+	 *
+	 * Required:
+	 *   to: >= 0.0 (typically 0.0 to 1.0): Final volume state
+	 *   msec: Duration of the fade in msec.
+	 *
+	 * Optional:
+	 *   from: >= 0.0 (typically 0.0 to 1.0), initial volume level (default: current)
+	 *   priority: Number, acquires mutex on volume control against lower priority levels
+	 *   easing: fn(t), t in 0..1, ret 0..1, map of % animation complete to volume level
+	 *   normalizer: If the shuffle is a sub-object of something else that can fade,
+	 *        you can provide a value to normalize the output by.
+	 *
+	 *        e.g. Your sound system as a whole is fading out you want to fade
+	 *          from 50% to 100% of your shuffle's volume relative to the master volume.
+	 *			You'll possibly need to exclude this piece from the other fading mechanism
+	 *			using the .isFading method.
+	 *        
+	 *          music.fade({
+	 * 				from: 0.5,
+	 * 				to: 1.0,
+	 *				msec: 2500,
+	 *				normalizer: function () { return SFX.volume() }, // shuffle.vol = shuffle.vol * SFX.vol
+	 *          })
+	 *
+	 * Return: jQuery deferred object, resolve on complete, reject if aborted
+	 */
+	Music.SonicShuffle.prototype.fade = function (args) {
+		args = args || {};
+
+		var _this = this;
+
+		var from = SonicUtils.nvl(args.from, _this.volume()),
+			to = SonicUtils.assertDefined(args.to),
+			msec = SonicUtils.assertDefined(args.msec),
+
+			priority = args.priority || 0,
+			normalizer = args.normalizer || function () { return 1 },
+			
+			easing = args.easing || function (t) {
+				var gain = Music.Mixins.gainToPerceptualVolume(gain);
+				gain = 1 - Math.cos(Math.PI * t / 2); // try graphing this on [0, 1]
+				return SonicUtils.clamp(gain, 0, 1);
+			};
+
+		if (_this._fading.promise) {
+			if (priority < _this._fading.priority) {
+				return $.Deferred().reject();
+			}
+			else {
+				_this._fading.promise.reject();
+			}
+		}
+
+		_this._fading.priority = priority;
+
+		var mutevol = function (v) {
+			return _this.muted ? 0 : v;
+		};
+
+		var promise = $.Deferred()
+			.done(function () {
+				_this.volume(mutevol(to * normalizer()));
+			})
+			.always(function () {
+				_this._fading = {};
+			});
+
+		// NOTE: Useful for efficiency, but maybe not so good
+		// if someone uses a custom easing function for
+		// osscillations.
+		if (Math.abs(to - this.gain) < 0.00001 || msec === 0) {
+			_this.volume(mutevol(to * normalizer()));
+			return promise.resolve();
+		}
+
+		_this.volume(from * normalizer());
+
+		var start = window.performance.now();
+		var delta = to - from;
+
+		var stepper = setInterval(function () {
+			var now = window.performance.now();
+			var t = (now - start) / msec;
+
+			if (t >= 1) {
+				promise.resolve();
+				return;
+			}
+
+			var vol = from + delta * easing(t);
+			vol *= normalizer();
+
+			_this.volume(mutevol(vol));
+		}, 15); // max guaranteed resolution
+
+		_this._fading.promise = promise;
+
+		return promise.always(function () {
+			clearInterval(stepper);
+		});
+	};
+
+	Music.SonicShuffle.prototype.isFading = function () {
+		return !!this._fading.promise;
+	};
+
+	Music.SonicShuffle.prototype.cancelFade = function (priority) {
+		priority = priority || 0;
+
+		if (this._fading.promise
+			&& this._fading.priority <= priority) {
+
+			this._fading.promise.reject();
+		}
+
+		return this;
+	};
+
+	// Note: If the volume is changed during a fade, inconsistent behavior
+	// will result. Currently, the volume will spike towards the set value for
+	// about 10msec and then progress towards the fade and then jump to the faded
+	// value.
+	//
+	// Possible solution:
+	// Fading feedback loop: Target volume is remembered and fade tracks to it
+	// 		over time. Target volume can be updated by the volume command. 
+	//      The ramping rate can be recalculated as necessary to meet the time  
+	//      target. This sounds like a PID controller, but we'd probably only need the
+	//      P part (hopefully). The error term would be TARGET - (CURRENT + STEP * TIME_REMAINING) = 0
+	//		with STEP being the variable manipulated. 
+	//
+	Music.SonicShuffle.prototype.volume = function (vol) {
+		if (vol === undefined || vol === null) {
+			return this.gain;
+		}
+
+		vol = parseFloat(vol);
+		vol = SonicUtils.clamp(vol, 0, 1);
+
+		this.gain = vol;
+
+		this.trigger('volume', vol);
+
+		if (this.muted) {
+			return this.mute();
+		}
+
+		applyVolume.call(this);
+
+		return this;
+	};
+
+	// Sets the volume of every section and stinger from this.gain
+	function applyVolume () {
+		var _this = this;
+
+		if (this.muted) {
+			return;
+		}
+
+		this.forEachSection(function (section, sectionset, index) {
+			// sections being faded in are given a special treatment.
+			// See the bottom of Music.SonicShuffle.play.
+			if (section.isFading()) { return; } 
+			
+			section.volume(sectionVolume.call(_this, _this.gain, sectionset, index));
+		});
+
+		forEachStinger.call(this, function (howl) {
+			howl.volume(_this.gain);
+		});
+	}
+
+	/* intensity
+	 *
+	 * Sections made of stems bring their stems in and out 
+	 * with the intensity, c.f. stem_intensities. Sections 
+	 * that are playing fade to the new mix, the rest 
+	 * switch immediately so they begin with it.
+	 *
+	 * Optional:
+	 *   [0] level: float in [0, 1]
+	 *   [1] msec: fade duration, defaults to 2000
+	 *
+	 * Return: level if getting, this if setting
+	 */
+	Music.SonicShuffle.prototype.intensity = function (level, msec) {
+		if (level === undefined || level === null) {
+			return this.level;
+		}
+
+		var _this = this;
+
+		this.level = SonicUtils.clamp(parseFloat(level), 0, 1);
+		msec = SonicUtils.nvl(msec, 2000);
+
+		this.forEachSection(function (section) {
+			if (!section.stems) {
+				return;
+			}
+
+			var thresholds = _this.stem_intensities || section.stems.map(function (stem, i) {
+				return i / section.stems.length;
+			});
+
+			var mix = section.stems.map(function (stem, i) {
+				return _this.level >= SonicUtils.nvl(thresholds[i], 0) ? 1 : 0;
+			});
+
+			section.mix(mix, section.state === 'playing' ? msec : 0);
+		});
+
+		this.trigger('intensity', this.level);
+
+		return this;
+	};
+	
+	/* serialize
+	 *
+	 * Captures everything needed to pick the piece back up 
+	 * where it left off, e.g. after a page reload. The result
+	 * is a plain object that can be stored as JSON.
+	 *
+	 * Return: { section_set, section, position, next_position, section_states, 
+	 *           cycle_history, cycles_played, elapsed, offset, volume, muted, intensity, random_state }
+	 */
+	Music.SonicShuffle.prototype.serialize = function () {
+		var section = this.nowPlaying();
+
+		// Committed choices aren't saved, they'll be made again on restore
+		// from the random state they were first drawn from
+		var committed = this.queue.length 
+			? this.queue[0] 
+			: { states_before: this.section_states, history_before: this.cycle_history, random_before: this.randomState() };
+
+		return {
+			section_set: this.section_set,
+			section: this.section,
+			position: this.position,
+			next_position: this.next_position,
+			section_states: copyStates(committed.states_before),
+			cycle_history: committed.history_before.slice(),
+			cycles_played: this.cycles_played,
+			elapsed: Math.round(this.elapsed), // msec played before the current section
+			offset: section ? Math.round(section.pos() * 1000) : 0, // msec into the current section
+			volume: this.volume(),
+			muted: this.muted,
+			intensity: this.level,
+			random_state: committed.random_before,
+		};
+	};
+
+	/* restore
+	 *
+	 * Stops the piece and loads a state previously produced by serialize. 
+	 * The next call to play resumes from the saved section and offset.
+	 *
+	 * Required:
+	 *   [0] state: obj from serialize
+	 *
+	 * Return: this
+	 */
+	Music.SonicShuffle.prototype.restore = function (state) {
+		state = state || {};
+
+		this.stop();
+
+		var _this = this;
+
+		var shaped = Array.isArray(state.section_states)
+			&& state.section_states.length === this.sections.length
+			&& state.section_states.every(function (sectionset, i) {
+				return Array.isArray(sectionset) && sectionset.length === _this.sections[i].length;
+			});
+
+		if (!shaped) {
+			console.error("Unable to restore " + (this.title || "SonicShuffle") + ", the saved state doesn't match the sections.");
+			return this;
+		}
+
+		this.section_states = state.section_states.map(function (sectionset) {
+			return sectionset.map(function (x) { return !!x; });
+		});
+
+		this.cycle_history = (state.cycle_history || []).filter(function (pair) {
+			return _this.sections[pair[0]] && _this.sections[pair[0]][pair[1]];
+		});
+
+		this.cycles_played = Math.max(state.cycles_played || 0, 0);
+		this.elapsed = Math.max(state.elapsed || 0, 0);
+
+		var resumable = state.section_set === -1
+			? !!this.intro
+			: !!(this.sections[state.section_set] && this.sections[state.section_set][state.section]);
+
+		if (resumable) {
+			this.section_set = state.section_set;
+			this.section = state.section;
+			this.resume_offset = Math.max(state.offset || 0, 0);
+
+			if (this.section_set !== -1) {
+				this.position = this.form[state.position] === this.section_set
+					? state.position
+					: this.form.indexOf(this.section_set);
+
+				this.next_position = this.form[state.next_position] !== undefined
+					? state.next_position
+					: successorPosition.call(this, this.position);
+
+				this.closes_fullcycle = this.next_position === 0
+					&& !cycleExists(this.section_states, this.demand);
+			}
+		}
+
+		if (state.random_state !== undefined) {
+			this.randomState(state.random_state);
+		}
+
+		if (state.volume !== undefined) {
+			this.volume(state.volume);
+		}
+
+		if (state.intensity !== undefined) {
+			this.intensity(state.intensity, 0);
+		}
+
+		if (state.muted) {
+			this.mute();
+		}
+		else if (this.muted) {
+			this.unmute();
+		}
+
+		return this;
+	};
+
+	/* randomState
+	 *
+	 * Read or restore the state of the random number generator
+	 * that drives section selection. Restoring a previously read
+	 * state replays the same sequence of choices from that point on.
+	 *
+	 * Optional:
+	 *   [0] state: integer as previously returned by randomState()
+	 *
+	 * Return: state if getting, this if setting
+	 */
+	Music.SonicShuffle.prototype.randomState = function (state) {
+		if (state === undefined || state === null) {
+			return this.rng.getState();
+		}
+
+		this.rng.setState(state);
+
+		return this;
+	};
+
+	Music.SonicShuffle.prototype.nowPlaying = function () {
+		if (this.section_set === null || this.section === null) {
+			return null;
+		}
+
+		if (this.section_set === -1) {
+			return this.intro;
+		}
+		else if (this.section_set === -2) {
+			return this.outros[this.section];
+		}
+
+		return this.sections[this.section_set][this.section];
+	};
+
+	Music.SonicShuffle.prototype.forEachSection = function (fn) {
+		fn = fn || function () {};
+		this.sections = this.sections || [];
+
+		if (this.intro) {
+			fn(this.intro, -1, 0);
+		}
+
+		for (var sectionset = 0; sectionset < this.sections.length; sectionset++) {
+			for (var section = 0; section < this.sections[sectionset].length; section++) {
+				fn(this.sections[sectionset][section], sectionset, section);
+			}
+		};
+
+		for (var i = 0; i < this.outros.length; i++) {
+			fn(this.outros[i], -2, i);
+		}
+
+		return this;
+	};
+
+	/* on
+	 *
+	 * Attach callbacks to specified actions.
+	 *
+	 * Required:
+	 *	[0] action: 'show', 'dismiss', etc. The action we want to attach a callback to.
+	 *  [1] fn
+	 *
+	 * Returns: this
+	 */
+	Music.SonicShuffle.prototype.on = function (action, fn) {
+		this.callbacks = this.callbacks || {};
+		this.callbacks[action] = this.callbacks[action] || [];
+
+		this.callbacks[action].push(fn);
+
+		return this;
+	};
+
+	// Idempotent on.
+	Music.SonicShuffle.prototype.ion = function (action, fn) {
+      return this.off(action).on(action, fn);
+    };
+
+    // remove handler after firing. Like jQuery
+    Music.SonicShuffle.prototype.one = function (action, fn) {
+      var _this = this;
+
+      var wrapperfn = function () {
+        fn.apply(_this, arguments);
+        _this.off(action, fn);
+      };
+
+      return _this.on(action, wrapperfn);
+    };
+
+	/* off
+	 *
+	 * Removes callbacks from a specified action.
+	 * If fn is specified, it will remove that handler.
+	 * If fn is not specifed, all callbacks for that action
+	 * will be removed.
+	 *
+	 * Required:
+	 *	 [0] action
+	 *
+	 * Optional:
+	 *  [1] fn
+	 *
+	 * Returns: this
+	 */
+	 Music.SonicShuffle.prototype.off = function (action, fn) {
+		this.callbacks = this.callbacks || {};
+
+		if (!this.callbacks[action]) {
+			return this;
+		}
+
+		if (fn) {
+			this.callbacks[action] = $.grep(this.callbacks[action], function (elem, index) {
+				return elem !== fn;
+			});
+		}
+		else {
+			this.callbacks[action] = [];
+		}
+
+		return this;
+	};
+
+	/* trigger
+	 *
+	 * Execute the callbacks for a particular action.
+	 *
+	 * Required:
+	 *   [0] action: e.g. 'show', 'dismiss'
+	 *
+	 * Optional:
+	 *   [1..n]: Optional positional arguments to feed to cbs
+	 *
+	 * Return: this
+	 */
+	Music.SonicShuffle.prototype.trigger = function (action) {
+	  	var cbs = this.callbacks[action] || [];
+
+	  	var args = Array.prototype.slice.call(arguments);
+	  	args.shift(); // remove action
+
+		for (var i = 0; i < cbs.length; i++) {
+			cbs[i].apply(this, args);
+		}
+
+		return this;
+	};
+
+	function initalizeSections (urls, volume, overlaps) {
+		urls = urls || [];
+
+		var howls = urls.map(function (sectionset) {
+			return sectionset.map(function (url) {
+				return sectionFactory(url, volume);
+			});
+		});
+
+		if (!overlaps) {
+			return howls;
+		}
+
+		// the overlap events themselves are timed by scheduleEvents
+		for (var i = 0; i < howls.length; i++) {
+			for (var j = 0; j < howls[i].length; j++) {
+				overlaps[i] = overlaps[i] || [];
+				overlaps[i][j] = overlaps[i][j] || 0;
+			}
+		}
+
+		return howls;
+	}
+
+	function initializeWeights (sections, weights) {
+		weights = weights || [];
+
+		return sections.map(function (sectionset, i) {
+			var row = weights[i] || [];
+
+			return sectionset.map(function (section, j) {
+				var weight = parseFloat(SonicUtils.nvl(row[j], 1));
+
+				if (isNaN(weight) || weight < 0) {
+					console.error("Invalid weight " + row[j] + " for section (" + i + ", " + j + "). Using 1.");
+					weight = 1;
+				}
+
+				return weight;
+			});
+		});
+	}
+
+	/* sectionName
+	 *
+	 * Converts a (section set, section) index pair into the
+	 * name the composer uses for it. e.g. (1, 1) => 'B2'
+	 *
+	 * Return: 'intro', 'outro', 'A1', 'B2', etc or null if not a section
+	 */
+	function sectionName (sectionset, section) {
+		if (sectionset === -1) {
+			return 'intro';
+		}
+		else if (sectionset === -2) {
+			return 'outro';
+		}
+		else if (sectionset === null || section === null) {
+			return null;
+		}
+
+		return String.fromCharCode('A'.charCodeAt(0) + sectionset) + (section + 1);
+	}
+
+	// Accepts 'B2', 'b2', [ 1, 1 ], or 'intro'
+	function parseSectionName (name) {
+		if (Array.isArray(name)) {
+			return sectionName(name[0], name[1]);
+		}
+
+		name = String(name);
+
+		if (name.toLowerCase() === 'intro') {
+			return 'intro';
+		}
+
+		var match = name.match(/^([a-zA-Z])(\d+)$/);
+		if (!match) {
+			return null;
+		}
+
+		return sectionName(
+			match[1].toUpperCase().charCodeAt(0) - 'A'.charCodeAt(0),
+			parseInt(match[2], 10) - 1
+		);
+	}
+
+	// Inverse of sectionName: 'B2' => [ 1, 1 ], 'intro' => [ -1, 0 ], 'outro' => [ -2, 0 ]
+	function sectionPosition (name) {
+		if (name === 'intro') {
+			return [ -1, 0 ];
+		}
+		else if (name === 'outro') {
+			return [ -2, 0 ];
+		}
+		else if (!name) {
+			return null;
+		}
+
+		return [
+			name.charCodeAt(0) - 'A'.charCodeAt(0),
+			parseInt(name.slice(1), 10) - 1
+		];
+	}
+
+	// Whether a normalized section name e.g. 'B2', 'intro', or 'outro' refers to part of the piece
+	function sectionExists (sections, name, hasintro, hasoutro) {
+		var pos = sectionPosition(name);
+
+		if (!pos) {
+			return false;
+		}
+		else if (pos[0] === -1) {
+			return !!hasintro;
+		}
+		else if (pos[0] === -2) {
+			return !!hasoutro;
+		}
+
+		return !!(sections[pos[0]] && sections[pos[0]][pos[1]]);
+	}
+
+	// Accepts 'A', 'a', or 0
+	function parseSetName (name) {
+		if (typeof(name) === 'number' || /^\d+$/.test(name)) {
+			return parseInt(name, 10);
+		}
+
+		name = String(name);
+
+		if (!/^[a-zA-Z]$/.test(name)) {
+			return null;
+		}
+
+		return name.toUpperCase().charCodeAt(0) - 'A'.charCodeAt(0);
+	}
+
+	/* initializeForm
+	 *
+	 * Converts a form like [ 'A', 'B', 'A', 'C' ] into
+	 * a list of section set indices. If no form is provided,
+	 * each section set is visited once in order.
+	 *
+	 * Return: [ 0, 1, 0, 2 ]
+	 */
+	function initializeForm (sections, form) {
+		var ring = SonicUtils.range(sections.length);
+
+		if (!form) {
+			return ring;
+		}
+
+		var positions = form.map(parseSetName).filter(function (sectionset, i) {
+			if (sectionset === null || sectionset >= sections.length) {
+				console.error("Invalid section set in form: " + form[i]);
+				return false;
+			}
+
+			return true;
+		});
+
+		return positions.length 
+			? positions 
+			: ring;
+	}
+
+	// How many times each section set appears in the form
+	function formDemand (sections, form) {
+		var demand = sections.map(function () { return 0; });
+
+		form.forEach(function (sectionset) {
+			demand[sectionset]++;
+		});
+
+		return demand;
+	}
+
+	/* initializeGraph
+	 *
+	 * Converts { A: { B: 0.7, C: 0.3 }, ... } into a matrix
+	 * of transition weights between section sets. Section sets 
+	 * with no outgoing edges proceed to the next set in order.
+	 *
+	 * Return: [ [ 0, 0.7, 0.3 ], ... ] or null if no graph
+	 */
+	function initializeGraph (sections, graph) {
+		if (!graph) {
+			return null;
+		}
+
+		var size = sections.length;
+
+		var matrix = sections.map(function () {
+			return sections.map(function () { return 0; });
+		});
+
+		SonicUtils.forEachItem(graph, function (from, edges) {
+			var i = parseSetName(from);
+
+			if (i === null || i >= size) {
+				console.error("Invalid section set in graph: " + from);
+				return;
+			}
+
+			SonicUtils.forEachItem(edges, function (to, weight) {
+				var j = parseSetName(to);
+				weight = parseFloat(weight);
+
+				if (j === null || j >= size || isNaN(weight) || weight < 0) {
+					console.error("Invalid graph edge: " + from + " -> " + to);
+					return;
+				}
+
+				matrix[i][j] = weight;
+			});
+		});
+
+		matrix.forEach(function (row, i) {
+			if (SonicUtils.sum(row) === 0) {
+				row[(i + 1) % size] = 1;
+			}
+		});
+
+		return matrix;
+	}
+
+	/* initializeTransitions
+	 *
+	 * Converts a list of section pairs like [ [ 'B2', 'C3' ], ... ]
+	 * into a lookup table { B2: { C3: true } }
+	 */
+	function initializeTransitions (sections, pairs) {
+		pairs = pairs || [];
+
+		var table = {};
+
+		pairs.forEach(function (pair) {
+			var from = parseSectionName(pair[0]),
+				to = parseSectionName(pair[1]);
+
+			if (!sectionExists(sections, from, true) || !sectionExists(sections, to, true)) {
+				console.error("Invalid transition: " + JSON.stringify(pair));
+				return;
+			}
+
+			table[from] = table[from] || {};
+			table[from][to] = true;
+		});
+
+		return table;
+	}
+
+	// { A1: [ 'calm' ], ... } keyed by normalized section name
+	function initializeTags (sections, tags) {
+		tags = tags || {};
+
+		var table = {};
+
+		Object.keys(tags).forEach(function (name) {
+			var normalized = parseSectionName(name);
+
+			if (!sectionExists(sections, normalized)) {
+				console.error("Unable to tag " + name + ", no such section.");
+				return;
+			}
+
+			table[normalized] = [].concat(tags[name]);
+		});
+
+		return table;
+	}
+
+	/* initializeCues
+	 *
+	 * Keys the cues by normalized section name e.g. 'A2' or 'intro'
+	 * and sorts each section's by time.
+	 *
+	 * Required:
+	 *   [0] sections
+	 *   [1] hasintro: bool
+	 *   [2] cues: { section name: [ { at: msec, name } ] }
+	 *
+	 * Return: { section name: [ { at, name } ] } in order of at
+	 */
+	function initializeCues (sections, hasintro, cues) {
+		cues = cues || {};
+
+		var table = {};
+
+		Object.keys(cues).forEach(function (name) {
+			var normalized = parseSectionName(name);
+
+			if (!sectionExists(sections, normalized, hasintro)) {
+				console.error("Unable to cue " + name + ", no such section.");
+				return;
+			}
+
+			table[normalized] = [].concat(cues[name]).filter(function (cue) {
+				if (!cue || typeof cue.at !== 'number' || cue.at < 0 || !cue.name) {
+					console.error("Invalid cue in " + name + ": " + JSON.stringify(cue));
+					return false;
+				}
+
+				return true;
+			}).sort(function (a, b) {
+				return a.at - b.at;
+			});
+		});
+
+		return table;
+	}
+
+	/* initializeTrims
+	 *
+	 * Keys the trims by normalized section name e.g. 'A2', 'intro', or 'outro'.
+	 *
+	 * Required:
+	 *   [0] sections
+	 *   [1] hasintro: bool
+	 *   [2] hasoutro: bool
+	 *   [3] trims: { section name: dB }
+	 *
+	 * Return: { section name: dB }
+	 */
+	function initializeTrims (sections, hasintro, hasoutro, trims) {
+		trims = trims || {};
 
-	// Note: If the volume is changed during a fade, inconsistent behavior
-	// will result. Currently, the volume will spike towards the set value for
-	// about 10msec and then progress towards the fade and then jump to the faded
-	// value.
-	//
-	// Possible solution:
-	// Fading feedback loop: Target volume is remembered and fade tracks to it
-	// 		over time. Target volume can be updated by the volume command. 
-	//      The ramping rate can be recalculated as necessary to meet the time  
-	//      target. This sounds like a PID controller, but we'd probably only need the
-	//      P part (hopefully). The error term would be TARGET - (CURRENT + STEP * TIME_REMAINING) = 0
-	//		with STEP being the variable manipulated. 
-	//
-	Music.SonicShuffle.prototype.volume = function (vol) {
-		if (vol === undefined || vol === null) {
-			return this.gain;
-		}
+		var table = {};
 
-		vol = parseFloat(vol);
-		vol = SonicUtils.clamp(vol, 0, 1);
+		Object.keys(trims).forEach(function (name) {
+			var normalized = String(name).toLowerCase() === 'outro'
+				? 'outro'
+				: parseSectionName(name);
 
-		this.gain = vol;
+			if (!sectionExists(sections, normalized, hasintro, hasoutro)) {
+				console.error("Unable to trim " + name + ", no such section.");
+				return;
+			}
 
-		this.trigger('volume', vol);
+			var db = parseFloat(trims[name]);
 
-		if (this.muted) {
-			return this.mute();
-		}
+			if (isNaN(db)) {
+				console.error("Invalid trim for " + name + ": " + trims[name]);
+				return;
+			}
 
-		this.forEachSection(function (section) {
-			// sections being faded in are given a special treatment.
-			// See the bottom of Music.SonicShuffle.play.
-			if (section.isFading()) { return; } 
-			
-			section.volume(vol);
+			table[normalized] = db;
 		});
 
-		return this;
-	};
-	
-	Music.SonicShuffle.prototype.nowPlaying = function () {
-		if (this.section_set === null || this.section === null) {
+		return table;
+	}
+
+	/* initializeTransition
+	 *
+	 * Required:
+	 *   [0] transition: { type: 'overlap' or 'crossfade', msec } or undefined
+	 *   [1] name: for error messages
+	 *
+	 * Return: { type, msec } or null if not given or invalid
+	 */
+	function initializeTransition (transition, name) {
+		if (!transition) {
 			return null;
 		}
 
-		if (this.section_set === -1) {
-			return this.intro;
-		}
+		var type = transition.type || 'overlap';
 
-		return this.sections[this.section_set][this.section];
-	};
+		if (type !== 'overlap' && type !== 'crossfade') {
+			console.error("Invalid " + name + " type: " + type);
+			return null;
+		}
 
-	Music.SonicShuffle.prototype.forEachSection = function (fn) {
-		fn = fn || function () {};
-		this.sections = this.sections || [];
+		var msec = parseFloat(SonicUtils.nvl(transition.msec, 1000));
 
-		if (this.intro) {
-			fn(this.intro, -1, 0);
+		if (isNaN(msec) || msec < 0) {
+			console.error("Invalid " + name + " msec: " + transition.msec);
+			return null;
 		}
 
-		for (var sectionset = 0; sectionset < this.sections.length; sectionset++) {
-			for (var section = 0; section < this.sections[sectionset].length; section++) {
-				fn(this.sections[sectionset][section], sectionset, section);
-			}
+		return {
+			type: type,
+			msec: type === 'crossfade' ? msec : 0,
 		};
+	}
 
-		return this;
-	};
-
-	/* on
+	/* initializeSectionTransitions
 	 *
-	 * Attach callbacks to specified actions.
+	 * Keys the transitions by normalized section name e.g. 'A2' or 'intro'.
 	 *
 	 * Required:
-	 *	[0] action: 'show', 'dismiss', etc. The action we want to attach a callback to.
-	 *  [1] fn
+	 *   [0] sections
+	 *   [1] hasintro: bool
+	 *   [2] transitions: { section name: { type, msec } }
 	 *
-	 * Returns: this
+	 * Return: { section name: { type, msec } }
 	 */
-	Music.SonicShuffle.prototype.on = function (action, fn) {
-		this.callbacks = this.callbacks || {};
-		this.callbacks[action] = this.callbacks[action] || [];
+	function initializeSectionTransitions (sections, hasintro, transitions) {
+		transitions = transitions || {};
 
-		this.callbacks[action].push(fn);
+		var table = {};
 
-		return this;
-	};
+		Object.keys(transitions).forEach(function (name) {
+			var normalized = parseSectionName(name);
 
-	// Idempotent on.
-	Music.SonicShuffle.prototype.ion = function (action, fn) {
-      return this.off(action).on(action, fn);
-    };
+			if (!sectionExists(sections, normalized, hasintro)) {
+				console.error("Unable to set the transition of " + name + ", no such section.");
+				return;
+			}
 
-    // remove handler after firing. Like jQuery
-    Music.SonicShuffle.prototype.one = function (action, fn) {
-      var _this = this;
+			var transition = initializeTransition(transitions[name], "transition for " + name);
 
-      var wrapperfn = function () {
-        fn.apply(_this, arguments);
-        _this.off(action, fn);
-      };
+			if (transition) {
+				table[normalized] = transition;
+			}
+		});
 
-      return _this.on(action, wrapperfn);
-    };
+		return table;
+	}
 
-	/* off
+	/* resolveTimings
 	 *
-	 * Removes callbacks from a specified action.
-	 * If fn is specified, it will remove that handler.
-	 * If fn is not specifed, all callbacks for that action
-	 * will be removed.
+	 * Merges timings given in msec with ones given in bars. 
+	 * Either may be a number or a (nested) array of them.
 	 *
 	 * Required:
-	 *	 [0] action
-	 *
-	 * Optional:
-	 *  [1] fn
+	 *   [0] msec: number, array, or null
+	 *   [1] bars: number, array, or null
+	 *   [2] barmsec: msec per bar, or null to ignore bars
 	 *
-	 * Returns: this
+	 * Return: msec in the same shape, msec entries win where both are given
 	 */
-	 Music.SonicShuffle.prototype.off = function (action, fn) {
-		this.callbacks = this.callbacks || {};
-
-		if (!this.callbacks[action]) {
-			return this;
+	function resolveTimings (msec, bars, barmsec) {
+		if (!barmsec || bars === undefined || bars === null) {
+			return msec;
 		}
 
-		if (fn) {
-			this.callbacks[action] = $.grep(this.callbacks[action], function (elem, index) {
-				return elem !== fn;
-			});
+		if (Array.isArray(msec) || Array.isArray(bars)) {
+			msec = Array.isArray(msec) ? msec : [];
+			bars = Array.isArray(bars) ? bars : [];
+
+			var timings = [];
+			for (var i = 0; i < Math.max(msec.length, bars.length); i++) {
+				timings.push(resolveTimings(msec[i], bars[i], barmsec));
+			}
+
+			return timings;
 		}
-		else {
-			this.callbacks[action] = [];
+
+		return msec || Math.round(bars * barmsec);
+	}
+
+	function initializeOutros (urls, volume) {
+		if (!urls) {
+			return [];
 		}
 
-		return this;
-	};
+		urls = Array.isArray(urls) ? urls : [ urls ];
 
-	/* trigger
+		return urls.map(function (url) {
+			return howlFactory(url, volume);
+		});
+	}
+
+	// A filepath makes an ordinary howl, a list of them makes stems
+	function sectionFactory (url, volume) {
+		return Array.isArray(url)
+			? stemsFactory(url, volume)
+			: howlFactory(url, volume);
+	}
+
+	/* stemsFactory
 	 *
-	 * Execute the callbacks for a particular action.
+	 * Makes a section out of several stems that are started, 
+	 * stopped and positioned together. It stands in for a howl 
+	 * (the subset of its interface that SonicShuffle uses) and 
+	 * its events follow the first stem.
+	 *
+	 * The volume of each stem is the volume of the whole times
+	 * its level in the mix, both of which can be faded independently.
 	 *
 	 * Required:
-	 *   [0] action: e.g. 'show', 'dismiss'
+	 *   [0] urls: [ filepaths ]
 	 *
 	 * Optional:
-	 *   [1..n]: Optional positional arguments to feed to cbs
+	 *   [1] volume: float in [0, 1]
 	 *
-	 * Return: this
+	 * Return: obj
 	 */
-	Music.SonicShuffle.prototype.trigger = function (action) {
-	  	var cbs = this.callbacks[action] || [];
+	function stemsFactory (urls, volume) {
+		var obj = new function () {};
 
-	  	var args = Array.prototype.slice.call(arguments);
-	  	args.shift(); // remove action
+		obj.stems = urls.map(function (url) {
+			return howlFactory(url, volume);
+		});
 
-		for (var i = 0; i < cbs.length; i++) {
-			cbs[i].apply(this, args);
-		}
+		obj.state = 'stopped';
+		obj.gain = SonicUtils.clamp(SonicUtils.nvl(volume, 1), 0, 1);
+		obj.levels = obj.stems.map(function () { return 1; });
 
-		return this;
-	};
+		obj._events = {};
+		obj._fading = null; // the deferred of a fade of the whole
+		obj._mixing = null; // the deferred of a change in the mix
 
-	function initalizeSections (urls, volume, overlaps) {
-		urls = urls || [];
+		var lead = obj.stems[0];
 
-		var howls = urls.map(function (sectionset) {
-			return sectionset.map(function (url) {
-				return howlFactory(url, volume);
+		var apply = function () {
+			obj.stems.forEach(function (stem, i) {
+				stem.volume(obj.gain * obj.levels[i]);
+			});
+		};
+
+		// calls step(t) with t going from 0 to 1 over msec
+		var tween = function (msec, step) {
+			var deferred = $.Deferred();
+
+			if (!msec) {
+				step(1);
+				return deferred.resolve();
+			}
+
+			var start = window.performance.now();
+			var stepper = setInterval(function () {
+				var t = Math.min((window.performance.now() - start) / msec, 1);
+				step(t);
+
+				if (t >= 1) {
+					deferred.resolve();
+				}
+			}, 15);
+
+			return deferred.always(function () {
+				clearInterval(stepper);
 			});
+		};
+
+		obj.on = function (name, fn) {
+			var _this = this;
+
+			name.split(' ').forEach(function (evt) {
+				_this._events[evt] = _this._events[evt] || [];
+
+				if (fn) {
+					_this._events[evt].push(fn);
+				}
+				else {
+					_this._events[evt].slice().forEach(function (cb) {
+						cb.call(_this);
+					});
+				}
+			});
+
+			return this;
+		};
+
+		obj.off = function (name, fn) {
+			var _this = this;
+
+			name.split(' ').forEach(function (evt) {
+				_this._events[evt] = fn
+					? (_this._events[evt] || []).filter(function (cb) { return cb !== fn; })
+					: [];
+			});
+
+			return this;
+		};
+
+		obj.ion = function (name, fn) {
+			return this.off(name).on(name, fn);
+		};
+
+		lead.on('end', function () {
+			obj.on('end');
 		});
 
-		if (!overlaps) {
-			return howls;
-		}
+		obj.play = function () {
+			this.state = 'playing';
+			this.stems.forEach(function (stem) {
+				stem.play();
+			});
 
-		var msec;
-		for (var i = 0; i < howls.length; i++) {
-			for (var j = 0; j < howls[i].length; j++) {
-				overlaps[i] = overlaps[i] || [];
-				overlaps[i][j] = overlaps[i][j] || 0;
+			return this;
+		};
+
+		obj.pause = function () {
+			this.state = 'paused';
+			this.stems.forEach(function (stem) {
+				stem.pause();
+			});
 
-				msec = overlaps[i][j];
-				howls[i][j].timer(msec, 'overlap');
+			return this;
+		};
+
+		obj.stop = function () {
+			this.state = 'stopped';
+			this.stems.forEach(function (stem) {
+				stem.stop();
+			});
+
+			return this;
+		};
+
+		obj.pos = function (seconds) {
+			if (seconds === undefined || seconds === null) {
+				return lead.pos();
 			}
-		}
 
-		return howls;
+			this.stems.forEach(function (stem) {
+				stem.pos(seconds);
+			});
+
+			return this;
+		};
+
+		obj.duration = function () {
+			return lead.duration();
+		};
+
+		obj.volume = function (vol) {
+			if (vol === undefined || vol === null) {
+				return this.gain;
+			}
+
+			this.gain = SonicUtils.clamp(parseFloat(vol), 0, 1);
+			apply();
+
+			return this;
+		};
+
+		obj.fade = function (args) {
+			var from = SonicUtils.nvl(args.from, this.gain),
+				to = args.to;
+
+			this.cancelFade();
+
+			var fading = tween(args.msec, function (t) {
+				obj.gain = from + (to - from) * t;
+				apply();
+			});
+
+			this._fading = fading;
+
+			return fading.always(function () {
+				if (obj._fading === fading) {
+					obj._fading = null;
+				}
+			});
+		};
+
+		obj.isFading = function () {
+			return !!this._fading;
+		};
+
+		obj.cancelFade = function () {
+			if (this._fading) {
+				this._fading.reject();
+			}
+
+			return this;
+		};
+
+		/* mix
+		 *
+		 * Required:
+		 *   [0] levels: [ float in [0, 1] per stem ]
+		 *
+		 * Optional:
+		 *   [1] msec: fade to the new levels over this long
+		 *
+		 * Return: promise
+		 */
+		obj.mix = function (levels, msec) {
+			var from = this.levels.slice();
+
+			if (this._mixing) {
+				this._mixing.reject();
+			}
+
+			var mixing = tween(msec, function (t) {
+				obj.levels = from.map(function (level, i) {
+					return level + (SonicUtils.nvl(levels[i], level) - level) * t;
+				});
+				apply();
+			});
+
+			this._mixing = mixing;
+
+			return mixing.always(function () {
+				if (obj._mixing === mixing) {
+					obj._mixing = null;
+				}
+			});
+		};
+
+		obj.mute = function () {
+			this.stems.forEach(function (stem) {
+				stem.mute();
+			});
+
+			return this;
+		};
+
+		obj.unmute = function () {
+			this.stems.forEach(function (stem) {
+				stem.unmute();
+			});
+
+			return this;
+		};
+
+		return obj;
 	}
 
-	function howlFactory (url, volume, overlap) {
+	function howlFactory (url, volume) {
 		if (!url) {
 			return null;
 		}
@@ -715,10 +3195,6 @@
 			volume: volume,
 		});
 
-		if (overlap !== undefined) {
-			howl.timer(overlap, 'overlap');
-		}
-
 		howl.on('loaderror', function () {
 			console.error(url + " failed to load.");
 		});
@@ -726,6 +3202,12 @@
 		return howl;
 	}
 
+	function copyStates (states) {
+		return states.map(function (sectionset) {
+			return sectionset.slice();
+		});
+	}
+
 	function resetSectionsPlayed (sections) {
 		sections = sections || [];
 
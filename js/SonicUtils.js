@@ -11,7 +11,7 @@
 
 var SonicUtils = SonicUtils || {};
 
-(function (undefined) {
+(function ($, undefined) {
 	"use strict";
 
 	/* round
@@ -475,6 +475,73 @@ var SonicUtils = SonicUtils || {};
 		return x - Math.floor(x);
 	};
 
+	/* seeded_random
+	 *
+	 * A seedable pseudo-random number generator (mulberry32) that can 
+	 * stand in for Math.random. Unlike seemingly_random, it keeps track
+	 * of its own state, which can be read out and restored later in order
+	 * to reproduce a sequence of random decisions exactly.
+	 *
+	 * Optional:
+	 *   [0] seed: integer or string. If not provided, one is picked using Math.random.
+	 *
+	 * Returns: fn() => floating point [0, 1), with the additional methods
+	 *    getState() => integer
+	 *    setState(integer) => fn
+	 */
+	SonicUtils.seeded_random = function (seed) {
+		if (seed === undefined || seed === null) {
+			seed = Math.floor(Math.random() * 4294967296);
+		}
+		else if (typeof(seed) === 'string') {
+			seed = hashString(seed);
+		}
+
+		var state = seed >>> 0;
+
+		var rng = function () {
+			state = (state + 0x6D2B79F5) >>> 0;
+
+			var t = state;
+			t = imul(t ^ (t >>> 15), t | 1);
+			t ^= t + imul(t ^ (t >>> 7), t | 61);
+
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		};
+
+		rng.getState = function () {
+			return state;
+		};
+
+		rng.setState = function (x) {
+			state = x >>> 0;
+			return rng;
+		};
+
+		return rng;
+	};
+
+	// FNV-1a, used for turning string seeds into integers
+	function hashString (str) {
+		var hash = 0x811C9DC5;
+
+		for (var i = 0; i < str.length; i++) {
+			hash ^= str.charCodeAt(i);
+			hash = imul(hash, 0x01000193);
+		}
+
+		return hash >>> 0;
+	}
+
+	// Math.imul, which IE11 lacks
+	var imul = Math.imul || function (a, b) {
+		var ah = (a >>> 16) & 0xFFFF, al = a & 0xFFFF;
+		var bh = (b >>> 16) & 0xFFFF, bl = b & 0xFFFF;
+
+		// the high bits of ah * bh overflow 32 bits, so it's left out
+		return ((al * bl) + (((ah * bl + al * bh) << 16) >>> 0)) | 0;
+	};
+
 	/* random_choice
 	 *
 	 * Selects a random element from an array with replacement.
@@ -482,14 +549,17 @@ var SonicUtils = SonicUtils || {};
 	 * Required:
 	 *   [0] array
 	 *
+	 * Optional:
+	 *   [1] rng: fn() => [0, 1), defaults to Math.random. c.f. seeded_random
+	 *
 	 * Returns: a uniformely randomly selected object from the array
 	 */
-	SonicUtils.random_choice = function (array) {
+	SonicUtils.random_choice = function (array, rng) {
 		if (!array.length) {
 			return undefined;
 		}
 
-		var random_int = SonicUtils.random_index(array);
+		var random_int = SonicUtils.random_index(array, rng);
 
 		return array[random_int];
 	};
@@ -501,14 +571,19 @@ var SonicUtils = SonicUtils || {};
 	 * Required:
 	 *   [0] array
 	 *
+	 * Optional:
+	 *   [1] rng: fn() => [0, 1), defaults to Math.random
+	 *
 	 * Returns: (int) a uniformly randomly selected index of the array, undefined if nothing in array
 	 */
-	SonicUtils.random_index = function (array) {
+	SonicUtils.random_index = function (array, rng) {
 		if (!array.length) {
 			return undefined;
 		}
 
-		return Math.round(Math.random() * (array.length - 1));
+		rng = rng || Math.random;
+
+		return Math.round(rng() * (array.length - 1));
 	};
 
 	/* range
@@ -539,10 +614,11 @@ var SonicUtils = SonicUtils || {};
 	 *   
 	 * Optional:
 	 *   [1] property: If set, the weights will be assigned by mapping this property
+	 *   [2] rng: fn() => [0, 1), defaults to Math.random
 	 *
 	 * Returns: An element of the array or undefined if no elements are in there.
 	 */
-	SonicUtils.biased_random_choice = function (array, property) {
+	SonicUtils.biased_random_choice = function (array, property, rng) {
 		if (!array.length) {
 			return undefined;
 		}
@@ -552,7 +628,7 @@ var SonicUtils = SonicUtils || {};
 			weights = array.map(function (x) { return x[property]; });
 		}
 
-		var index = SonicUtils.biased_random_index(weights);
+		var index = SonicUtils.biased_random_index(weights, rng);
 
 		return array[index];
 	};
@@ -574,20 +650,25 @@ var SonicUtils = SonicUtils || {};
 	 *   [0] weights: A numbers representing relative frequencies 
 	 *		e.g. [1, 3, 1, 1], would return 1 twice as often as 0, 2, or 3
 	 *
+	 * Optional:
+	 *   [1] rng: fn() => [0, 1), defaults to Math.random
+	 *
 	 * Return: integer or undefined if weights has no length
 	 */
-	SonicUtils.biased_random_index = function (weights) {
+	SonicUtils.biased_random_index = function (weights, rng) {
 		if (!weights.length) {
 			return undefined;
 		}
 
+		rng = rng || Math.random;
+
 		var total = SonicUtils.sum(weights);
 
 		if (total === 0) {
-			return SonicUtils.random_index(weights);
+			return SonicUtils.random_index(weights, rng);
 		}
 
-		var magicnumber = Math.random() * total;
+		var magicnumber = rng() * total;
 
 		var accumulation = 0;
 		for (var i = 0; i < weights.length; i++) {
@@ -597,7 +678,7 @@ var SonicUtils = SonicUtils || {};
 			}
 		}
 
-		return SonicUtils.random_index(weights);
+		return SonicUtils.random_index(weights, rng);
 	};
 
 	/* modulo
@@ -0,0 +1,312 @@
+"use strict";
+
+var assert = require('assert');
+
+var audio = require('./audio.js');
+
+var DURATIONS = {
+	'/one/a1.ogg': 10000,
+	'/one/b1.ogg': 10000,
+	'/two/a1.ogg': 10000,
+	'/two/b1.ogg': 10000,
+	'/menu.ogg': 30000,
+};
+
+/* music
+ *
+ * Return: { Music, env } with the Music singleton initialized
+ *   and a library of two shuffles (one, two) and a plain file (menu)
+ */
+function music () {
+	var env = audio.environment(DURATIONS);
+	var Music = env.window.Music;
+
+	var prefs = {};
+
+	Music.initialize({
+		get: function (key) {
+			return key === 'music_volume' ? 1 : prefs[key];
+		},
+		set: function (key, value) {
+			prefs[key] = value;
+		},
+	});
+
+	Music.loadManifest({
+		pieces: {
+			one: { url: '/one/', sections: [ [ 'a1.ogg' ], [ 'b1.ogg' ] ], end: 'loop', seed: 1 },
+			two: { url: '/two/', sections: [ [ 'a1.ogg' ], [ 'b1.ogg' ] ], end: 'loop', seed: 1 },
+			menu: { url: '/menu.ogg' },
+		},
+	});
+
+	return { Music: Music, env: env };
+}
+
+// drops the times from env.played
+function urls (played) {
+	return played.map(function (entry) {
+		return entry.split('@')[0];
+	});
+}
+
+// Return: [ [ url ] ] for each section of a shuffle, stems joined by +
+// (built up here, arrays from the test context compare unequal to ours)
+function sectionUrls (shuffle) {
+	var urls = [];
+
+	shuffle.sections.forEach(function (sectionset) {
+		var row = [];
+		sectionset.forEach(function (section) {
+			row.push(url(section));
+		});
+		urls.push(row);
+	});
+
+	return urls;
+}
+
+function url (section) {
+	return section.stems
+		? section.stems.map(url).join('+')
+		: section.url;
+}
+
+function settle (promise) {
+	var state = { value: 'pending' };
+
+	promise.done(function () {
+		state.value = 'resolved';
+	}).fail(function () {
+		state.value = 'rejected';
+	});
+
+	return state;
+}
+
+module.exports = {
+	"a quantized play waits for the boundary": function () {
+		var m = music();
+
+		m.Music.play('one');
+		m.env.advance(1000);
+
+		var switching = settle(m.Music.play('two', { quantize: 'section' }));
+		m.env.advance(5000);
+
+		assert.strictEqual(switching.value, 'pending');
+		assert.deepStrictEqual(m.env.played, [ '/one/a1.ogg@0' ]);
+
+		// the boundary at 10 seconds, then a 2.5 second fade
+		m.env.advance(7000);
+
+		assert.strictEqual(switching.value, 'resolved');
+		assert.deepStrictEqual(urls(m.env.played), [ '/one/a1.ogg', '/one/b1.ogg', '/two/a1.ogg' ]);
+	},
+
+	"stop rejects a pending quantized play": function () {
+		var m = music();
+
+		m.Music.play('one');
+		m.env.advance(1000);
+
+		var switching = settle(m.Music.play('two', { quantize: 'section' }));
+		var stopping = settle(m.Music.stop());
+
+		m.env.advance(20000);
+
+		assert.strictEqual(switching.value, 'rejected');
+		assert.strictEqual(stopping.value, 'resolved');
+		assert.deepStrictEqual(m.env.played, [ '/one/a1.ogg@0' ]);
+	},
+
+	"a later play rejects a pending quantized play": function () {
+		var m = music();
+
+		m.Music.play('one');
+		m.env.advance(1000);
+
+		var first = settle(m.Music.play('two', { quantize: 'section' }));
+		var second = settle(m.Music.play('menu'));
+
+		m.env.advance(20000);
+
+		assert.strictEqual(first.value, 'rejected');
+		assert.strictEqual(second.value, 'resolved');
+		assert.deepStrictEqual(urls(m.env.played), [ '/one/a1.ogg', '/menu.ogg' ]);
+	},
+
+	"playing the same piece rejects a pending quantized stop": function () {
+		var m = music();
+
+		m.Music.play('one');
+		m.env.advance(1000);
+
+		var stopping = settle(m.Music.stop({ quantize: 'section' }));
+		m.env.advance(1000);
+
+		assert.strictEqual(m.Music.whatsPlaying().piece, 'one');
+
+		m.Music.play('one');
+		m.env.advance(20000);
+
+		assert.strictEqual(stopping.value, 'rejected');
+		assert.strictEqual(m.Music.whatsPlaying().piece, 'one');
+	},
+
+	"a quantized stop keeps the piece playing until the boundary": function () {
+		var m = music();
+
+		m.Music.play('one');
+		m.env.advance(1000);
+
+		var stopping = settle(m.Music.stop({ quantize: 'section' }));
+		m.env.advance(5000);
+
+		assert.strictEqual(m.Music.whatsPlaying().piece, 'one');
+		assert.strictEqual(stopping.value, 'pending');
+
+		m.env.advance(10000);
+
+		assert.strictEqual(stopping.value, 'resolved');
+	},
+
+	"restoreState leaves muting to Music": function () {
+		var m = music();
+
+		m.Music.play('one');
+		m.Music.mute();
+		m.env.advance(1000);
+		m.Music.saveState();
+
+		m.Music.mute(false);
+		m.Music.stop();
+		m.env.advance(5000);
+
+		m.Music.restoreState();
+		m.env.advance(1000);
+
+		assert.strictEqual(m.Music.load('one').muted, false);
+	},
+
+	"loadManifest names sections by template": function () {
+		var m = music();
+
+		m.Music.loadManifest({
+			pieces: {
+				cdn: {
+					url: 'https://cdn/x',
+					sets: 2,
+					sections_per_set: [ 2, 3 ],
+					naming: { section: '{SET}_{index:2}.{ext}', intro: 'start.{ext}', ext: 'mp3' },
+				},
+			},
+		});
+
+		var shuffle = m.Music.load('cdn');
+
+		assert.deepStrictEqual(sectionUrls(shuffle), [
+			[ 'https://cdn/x/A_01.mp3', 'https://cdn/x/A_02.mp3' ],
+			[ 'https://cdn/x/B_01.mp3', 'https://cdn/x/B_02.mp3', 'https://cdn/x/B_03.mp3' ],
+		]);
+		assert.strictEqual(url(shuffle.intro), 'https://cdn/x/start.mp3');
+	},
+
+	"loadManifest names sections a1.ogg, ... by default": function () {
+		var m = music();
+
+		m.Music.loadManifest({
+			pieces: {
+				plain: { url: '/p/', sets: 2, sections_per_set: 2 },
+				numbered: { url: '/n/', sets: 2, sections_per_set: 1, naming: { section: '{setindex:2}-{index}.{ext}' }, intro: false },
+			},
+		});
+
+		assert.deepStrictEqual(sectionUrls(m.Music.load('plain')), [ [ '/p/a1.ogg', '/p/a2.ogg' ], [ '/p/b1.ogg', '/p/b2.ogg' ] ]);
+		assert.strictEqual(url(m.Music.load('plain').intro), '/p/intro.ogg');
+
+		assert.deepStrictEqual(sectionUrls(m.Music.load('numbered')), [ [ '/n/01-1.ogg' ], [ '/n/02-1.ogg' ] ]);
+		assert.strictEqual(m.Music.load('numbered').intro, null);
+	},
+
+	"loadManifest takes listed sections within the url unless absolute": function () {
+		var m = music();
+
+		m.Music.loadManifest({
+			pieces: {
+				explicit: {
+					url: '/e',
+					intro: 'intro.ogg',
+					sections: [
+						[ [ 's1.ogg', 's2.ogg' ], '/elsewhere/a2.ogg', 'https://cdn/a3.ogg', '/e/a4.ogg' ],
+						[ 'b1.ogg' ],
+					],
+				},
+				nointro: { url: '/e/', sections: [ [ 'a1.ogg' ] ] },
+			},
+		});
+
+		var shuffle = m.Music.load('explicit');
+
+		assert.deepStrictEqual(sectionUrls(shuffle), [
+			[ '/e/s1.ogg+/e/s2.ogg', '/elsewhere/a2.ogg', 'https://cdn/a3.ogg', '/e/a4.ogg' ],
+			[ '/e/b1.ogg' ],
+		]);
+		assert.strictEqual(url(shuffle.intro), '/e/intro.ogg');
+
+		// listed sections only have an intro if it's given
+		assert.strictEqual(m.Music.load('nointro').intro, null);
+	},
+
+	"loadManifest leaves out pieces with problems": function () {
+		var m = music();
+		var logged = [];
+
+		m.env.window.console = {
+			error: function (message) { logged.push(message); },
+			warn: function () {},
+			log: function () {},
+		};
+
+		var names = m.Music.loadManifest(JSON.stringify({
+			pieces: {
+				ok: { url: '/ok.ogg' },
+				bad: { url: '/bad/', sets: 2, sections_per_set: 2, overlaps: [ [ 1000, 1000 ] ] },
+			},
+		}));
+
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(names)), [ 'ok' ]);
+		assert.deepStrictEqual(logged, [ "Music manifest: pieces.bad.overlaps: has 1 rows but there are 2 section sets" ]);
+
+		m.Music.play('bad');
+		m.env.advance(1000);
+
+		assert.deepStrictEqual(m.env.played, []);
+	},
+
+	"loadManifest loads pieces when first played unless lazy is false": function () {
+		var m = music();
+		var created = [];
+
+		var Howl = m.env.window.Howl;
+
+		m.env.window.Howl = function (options) {
+			created.push(options.urls[0]);
+			return new Howl(options);
+		};
+
+		m.Music.loadManifest({
+			pieces: {
+				later: { url: '/later.ogg' },
+				now: { url: '/now/', sets: 1, sections_per_set: 2, intro: false, lazy: false },
+			},
+		});
+
+		assert.deepStrictEqual(created, [ '/now/a1.ogg', '/now/a2.ogg' ]);
+
+		m.Music.play('later');
+
+		assert.deepStrictEqual(created.slice(2), [ '/later.ogg' ]);
+		assert.deepStrictEqual(m.env.played, [ '/later.ogg@0' ]);
+	},
+};
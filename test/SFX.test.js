@@ -0,0 +1,111 @@
+"use strict";
+
+var assert = require('assert');
+
+var audio = require('./audio.js');
+
+/* sfx
+ *
+ * Return: { SFX, Music, env, created: [ url of each Howl made since ], logged: [ errors ] }
+ */
+function sfx () {
+	var env = audio.environment();
+	var result = { SFX: env.window.SFX, Music: env.window.Music, env: env, created: [], logged: [] };
+
+	var Howl = env.window.Howl;
+
+	env.window.Howl = function (options) {
+		result.created.push(options.urls[0]);
+		return new Howl(options);
+	};
+
+	env.window.console = {
+		error: function (message) { result.logged.push(message); },
+		warn: function () {},
+		log: function () {},
+	};
+
+	return result;
+}
+
+// c.f. sectionUrls in Music.test.js
+function copy (array) {
+	return JSON.parse(JSON.stringify(array));
+}
+
+module.exports = {
+	"loadManifest loads effects when first played unless lazy is false": function () {
+		var s = sfx();
+
+		var names = s.SFX.loadManifest({
+			sfx: {
+				click: { url: '/click.ogg' },
+				rotate: { type: 'random', url: '/rotate{i}.ogg', count: 3, lazy: false },
+			},
+		});
+
+		assert.deepStrictEqual(copy(names), [ 'click', 'rotate' ]);
+		assert.deepStrictEqual(s.created, [ '/rotate1.ogg', '/rotate2.ogg', '/rotate3.ogg' ]);
+
+		s.SFX.play('click');
+
+		assert.deepStrictEqual(s.created.slice(3), [ '/click.ogg' ]);
+		assert.deepStrictEqual(s.env.played, [ '/click.ogg@0' ]);
+	},
+
+	"loadManifest accepts JSON": function () {
+		var s = sfx();
+
+		assert.deepStrictEqual(copy(s.SFX.loadManifest('{ "sfx": { "click": { "url": "/click.ogg" } } }')), [ 'click' ]);
+	},
+
+	"loadManifest leaves out effects and tiers with problems": function () {
+		var s = sfx();
+
+		var names = s.SFX.loadManifest({
+			sfx: {
+				ok: { url: '/ok.ogg' },
+				bad: { type: 'random', url: '/bad.ogg' },
+			},
+			chime_tiers: {
+				menu: [ { relfreq: -1, fx: [ 1 ] } ],
+			},
+		});
+
+		assert.deepStrictEqual(copy(names), [ 'ok' ]);
+		assert.deepStrictEqual(s.logged, [
+			"SFX manifest: sfx.bad.url: expected {i} in the url where the track number goes",
+			"SFX manifest: chime_tiers.menu[0].relfreq: expected non-negative number",
+		]);
+		assert.strictEqual(s.SFX.play('bad'), null);
+	},
+
+	"loadManifest tiers the chimes by the music playing": function () {
+		var s = sfx();
+
+		s.Music.initialize({ get: function () { return 1; }, set: function () {} });
+		s.Music.loadManifest({ pieces: { menu: { url: '/menu.ogg' } } });
+
+		s.SFX.loadManifest({
+			sfx: {
+				chime: { type: 'chime', url: '/chime{i}.ogg', seed: 1 },
+			},
+			chime_tiers: {
+				menu: [ { relfreq: 1, fx: [ 2 ] }, { relfreq: 0, fx: [ 1, 3, 4, 5, 6 ] } ],
+			},
+		});
+
+		s.Music.play('menu');
+
+		for (var i = 0; i < 5; i++) {
+			s.SFX.play('chime');
+			s.env.advance(60000);
+		}
+
+		assert.deepStrictEqual(s.env.played.filter(function (entry) {
+			return /chime/.test(entry);
+		}).map(function (entry) {
+			return entry.split('@')[0];
+		}), [ '/chime2.ogg', '/chime2.ogg', '/chime2.ogg', '/chime2.ogg', '/chime2.ogg' ]);
+	},
+};
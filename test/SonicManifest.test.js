@@ -0,0 +1,143 @@
+"use strict";
+
+var assert = require('assert');
+
+var audio = require('./audio.js');
+var browser = require('./browser.js');
+
+var SonicManifest = browser.load([ 'SonicManifest.js' ]).SonicManifest;
+
+function validate (manifest) {
+	// arrays from the test context compare unequal to ours otherwise
+	return JSON.parse(JSON.stringify(SonicManifest.validate(manifest)));
+}
+
+module.exports = {
+	"validate accepts a complete manifest": function () {
+		assert.deepStrictEqual(validate({
+			pieces: {
+				menu: { title: "Song Name #1", url: "/url/to/song.ogg" },
+				ideas: {
+					title: "Song Name #2",
+					url: "/url/to/song/directory/",
+					sets: 3,
+					sections_per_set: 3,
+					bpm: 116,
+					bars_intro: 16,
+					bars: [ [ 24, 16, 24 ], [ 16, 16.25, 32 ], [ 24, 16, 8.25 ] ],
+					end: 'cycle',
+					finale: 'slow',
+				},
+				explicit: {
+					intro: 'intro.ogg',
+					sections: [ [ 'a1.ogg', 'a2.ogg' ], [ 'b1.ogg' ] ],
+					overlaps: [ [ 1000, null ], [ 2000 ] ],
+				},
+			},
+		}), []);
+	},
+
+	"validate parses JSON strings": function () {
+		assert.deepStrictEqual(validate('{ "pieces": {} }'), []);
+		assert.strictEqual(validate('{ pieces').length, 1);
+		assert.ok(/^manifest: invalid JSON/.test(validate('{ pieces')[0]));
+	},
+
+	"validate rejects manifests that aren't objects": function () {
+		assert.deepStrictEqual(validate([]), [ "manifest: expected object" ]);
+	},
+
+	"validate reports unknown keys": function () {
+		assert.deepStrictEqual(validate({ music: {} }), [
+			"music: unknown key, expected one of pieces, sfx, chime_tiers",
+		]);
+	},
+
+	"validate reports rows missing from a matrix": function () {
+		assert.deepStrictEqual(validate({
+			pieces: {
+				p: { intro: 'i.ogg', sections: [ [ 'a', 'b' ], [ 'c' ] ], overlaps: [ [ 1000 ] ] },
+			},
+		}), [
+			"pieces.p.overlaps: has 1 rows but there are 2 section sets",
+			"pieces.p.overlaps[0]: has 1 entries but section set A has 2 sections",
+		]);
+	},
+
+	"validate reports matrices larger than the sections": function () {
+		assert.deepStrictEqual(validate({
+			pieces: {
+				p: { sections: [ [ 'a' ] ], weights: [ [ 1, 2 ], [ 3 ] ] },
+			},
+		}), [
+			"pieces.p.weights: has 2 rows but there are 1 section sets",
+			"pieces.p.weights[0]: has 2 entries but section set A has 1 sections",
+		]);
+	},
+
+	"validate reports the path to bad entries": function () {
+		assert.deepStrictEqual(validate({
+			pieces: {
+				ideas: { url: '/ideas/', sets: 2, sections_per_set: 2, overlaps: [ [ 1, 2 ], [ 3, 'x' ] ] },
+			},
+		}), [
+			"pieces.ideas.overlaps[1][1]: expected number",
+		]);
+	},
+
+	"validate reports misspelled options": function () {
+		assert.deepStrictEqual(validate({
+			pieces: {
+				menu: { url: '/menu.ogg', loop: true },
+				ideas: { url: '/ideas/', sets: 2, sections_per_set: 2, ends: 'cycle' },
+				explicit: { sections: [ [ 'a1.ogg' ] ], overlap: [ [ 1000 ] ] },
+			},
+			sfx: {
+				click: { url: '/click.ogg', volume: 0.5 },
+			},
+		}), [
+			"pieces.menu.loop: unknown option",
+			"pieces.ideas.ends: unknown option",
+			"pieces.explicit.overlap: unknown option",
+			"sfx.click.volume: unknown option",
+		]);
+	},
+
+	"SonicShuffle reports the same problems": function () {
+		var env = audio.environment();
+		var errors = [];
+
+		env.window.console = {
+			error: function (message) { errors.push(message); },
+			warn: function () {},
+			log: function () {},
+		};
+
+		new env.window.Music.SonicShuffle({
+			title: 'ideas',
+			sections: [ [ 'a1.ogg', 'a2.ogg' ] ],
+			overlaps: [ [ 1000 ] ],
+			ends: 'cycle',
+		});
+
+		assert.deepStrictEqual(errors, [
+			"ideas.ends: unknown option",
+			"ideas.overlaps[0]: has 1 entries but section set A has 2 sections",
+		]);
+	},
+
+	"errorsAt picks out the errors beneath a path": function () {
+		var errors = [
+			"pieces.a.url: expected url of the music file",
+			"pieces.ab: expected object",
+			"sfx.b: expected object",
+		];
+
+		assert.deepStrictEqual(
+			JSON.parse(JSON.stringify(SonicManifest.errorsAt(errors, 'pieces.a'))),
+			[ "pieces.a.url: expected url of the music file" ]
+		);
+
+		assert.strictEqual(SonicManifest.errorsAt(errors, 'pieces').length, 2);
+	},
+};
@@ -0,0 +1,348 @@
+"use strict";
+
+var assert = require('assert');
+
+var audio = require('./audio.js');
+
+// A, B, and C sections of 10, 8, and 6 seconds and a 4 second intro
+var DURATIONS = {
+	'intro.ogg': 4000,
+	'a1.ogg': 10000,
+	'a2.ogg': 10000,
+	'a3.ogg': 10000,
+	'b1.ogg': 8000,
+	'b2.ogg': 8000,
+	'b3.ogg': 8000,
+	'c1.ogg': 6000,
+	'outro.ogg': 6000,
+};
+
+var SECTIONS = [ [ 'a1.ogg', 'a2.ogg' ], [ 'b1.ogg', 'b2.ogg' ] ];
+var SIX = [ [ 'a1.ogg', 'a2.ogg', 'a3.ogg' ], [ 'b1.ogg', 'b2.ogg', 'b3.ogg' ] ];
+
+/* run
+ *
+ * Plays a shuffle built from args.
+ *
+ * Required:
+ *   [0] args: for Music.SonicShuffle, sections default to SECTIONS
+ *   [1] msec: how long to let it play
+ *
+ * Return: {
+ *   shuffle,
+ *   env: from audio.environment,
+ *   sections: [ 'A1', 'intro', ... ] in the order they began,
+ *   events: [ 'end@36000', ... ],
+ * }
+ */
+function run (args, msec) {
+	var result = build(args);
+	var shuffle = result.shuffle;
+	var env = result.env;
+
+	result.sections = [];
+	result.events = [];
+
+	shuffle.on('section-begin', function (sectionset, section) {
+		result.sections.push(sectionset === -1 ? 'intro' : String.fromCharCode(65 + sectionset) + (section + 1));
+	});
+
+	[ 'end', 'fullcycle', 'finale', 'outro-begin', 'stop' ].forEach(function (name) {
+		shuffle.on(name, function () {
+			result.events.push(name + '@' + env.now());
+		});
+	});
+
+	shuffle.play();
+	env.advance(msec);
+
+	return result;
+}
+
+// Return: { shuffle, env, warnings: [ what it logged ] }
+//   with the shuffle built from args but not yet playing
+function build (args) {
+	var env = audio.environment(DURATIONS);
+	var warnings = [];
+
+	env.window.console = {
+		error: function (message) { warnings.push(message); },
+		warn: function (message) { warnings.push(message); },
+		log: function () {},
+	};
+
+	args.sections = args.sections || SECTIONS;
+	args.seed = args.seed === undefined ? 1 : args.seed;
+
+	return { shuffle: new env.window.Music.SonicShuffle(args), env: env, warnings: warnings };
+}
+
+// Return: [ 'A1', ... ] the names of the next n sections, c.f. SonicShuffle.upcoming
+function upcoming (shuffle, n) {
+	var names = [];
+
+	shuffle.upcoming(n).forEach(function (entry) {
+		names.push(entry.name);
+	});
+
+	return names;
+}
+
+module.exports = {
+	"end: 'section' ends after the first section": function () {
+		var result = run({ end: 'section' }, 60000);
+
+		assert.strictEqual(result.sections.length, 1);
+		assert.deepStrictEqual(result.events, [ 'end@10000', 'stop@10000' ]);
+	},
+
+	"end: 'section' plays a section after the intro": function () {
+		var result = run({ end: 'section', intro: 'intro.ogg' }, 60000);
+
+		assert.deepStrictEqual(result.sections, [ 'intro', 'A2' ]);
+		assert.deepStrictEqual(result.events, [ 'end@14000', 'stop@14000' ]);
+	},
+
+	"end: 'cycle' ends after each section set has played": function () {
+		var result = run({ end: 'cycle' }, 60000);
+
+		assert.deepStrictEqual(result.sections.map(function (name) { return name[0]; }), [ 'A', 'B' ]);
+		assert.deepStrictEqual(result.events, [ 'end@18000', 'stop@18000' ]);
+	},
+
+	"end: 'fullcycle' ends after every section has played": function () {
+		var result = run({ end: 'fullcycle' }, 120000);
+
+		assert.deepStrictEqual(result.sections.slice().sort(), [ 'A1', 'A2', 'B1', 'B2' ]);
+		assert.deepStrictEqual(result.events, [ 'fullcycle@36000', 'end@36000', 'stop@36000' ]);
+	},
+
+	"end: 'cycles' ends after the given number of cycles": function () {
+		var result = run({ end: 'cycles', cycles: 3 }, 120000);
+
+		assert.strictEqual(result.sections.length, 6);
+		assert.deepStrictEqual(result.events.slice(-2), [ 'end@54000', 'stop@54000' ]);
+	},
+
+	"end: 'duration' ends at the first boundary after the duration": function () {
+		var result = run({ end: 'duration', duration: 35000 }, 120000);
+
+		assert.strictEqual(result.sections.length, 4);
+		assert.deepStrictEqual(result.events.slice(-2), [ 'end@36000', 'stop@36000' ]);
+	},
+
+	"end: 'duration' counts the intro": function () {
+		var result = run({ end: 'duration', duration: 20000, intro: 'intro.ogg' }, 120000);
+
+		assert.strictEqual(result.sections.length, 3);
+		assert.deepStrictEqual(result.events, [ 'end@22000', 'stop@22000' ]);
+	},
+
+	"end: 'loop' plays until stopped": function () {
+		var result = run({ end: 'loop' }, 170000);
+
+		assert.strictEqual(result.sections.length, 19);
+		assert.ok(result.events.every(function (event) { return !/^end/.test(event); }), result.events);
+		assert.strictEqual(result.shuffle.state, 'playing');
+	},
+
+	"end_stop: false keeps playing past the end": function () {
+		var result = run({ end: 'section', end_stop: false }, 30000);
+
+		assert.strictEqual(result.sections.length, 4);
+		assert.strictEqual(result.shuffle.state, 'playing');
+	},
+
+	"finish times the finale before the handover to the outro": function () {
+		var result = run({ intro: 'intro.ogg', outro: 'outro.ogg', overlap_intro: 3000, overlap_outro: 4000, finale: 2000 }, 500);
+
+		result.shuffle.finish();
+		result.env.advance(20000);
+
+		assert.deepStrictEqual(result.events, [ 'finale@1000', 'outro-begin@3000', 'end@7000', 'stop@9000' ]);
+	},
+
+	"the finale of the last section doesn't fire during the outro": function () {
+		var result = run({ end: 'section', outro: 'outro.ogg', overlaps: [ [ 6000, 6000 ], [ 6000, 6000 ] ], finale: 1000 }, 30000);
+
+		assert.deepStrictEqual(result.events, [ 'finale@5000', 'outro-begin@6000', 'end@12000', 'stop@12000' ]);
+	},
+
+	"the outro's overlap keeps time across a pause": function () {
+		var result = run({ end: 'section', outro: 'outro.ogg', overlap_outro: 4000 }, 12000);
+
+		result.shuffle.pause();
+		result.env.advance(5000);
+		result.shuffle.play();
+		result.env.advance(10000);
+
+		assert.deepStrictEqual(result.events, [ 'outro-begin@10000', 'end@19000', 'stop@21000' ]);
+	},
+
+	"beats don't repeat on resuming": function () {
+		var result = run({ end: 'loop', bpm: 120 }, 1050);
+		var beats = [];
+
+		result.shuffle.on('beat', function (evt) {
+			beats.push(evt.bar + '.' + evt.beat);
+		});
+
+		result.shuffle.pause();
+		result.env.advance(1000);
+		result.shuffle.play();
+		result.env.advance(1000);
+
+		assert.deepStrictEqual(beats, [ '1.4', '2.1' ]);
+	},
+
+	"cues don't repeat on resuming": function () {
+		var result = run({ end: 'loop', cues: { A1: [ { at: 2000, name: 'drop' } ], A2: [ { at: 2000, name: 'drop' } ] } }, 2050);
+		var cues = [];
+
+		result.shuffle.on('cue', function (evt) {
+			cues.push(evt.name + ' ' + evt.cue);
+		});
+
+		result.shuffle.pause();
+		result.env.advance(1000);
+		result.shuffle.play();
+		result.env.advance(5000);
+
+		assert.deepStrictEqual(cues, []);
+	},
+
+	"restore replays the choices queued when serialized": function () {
+		var original = run({ end: 'loop', lookahead: 3, sections: [ [ 'a1.ogg', 'a2.ogg', 'b1.ogg', 'b2.ogg' ] ] }, 25000);
+		var state = JSON.parse(JSON.stringify(original.shuffle.serialize()));
+		var played = original.sections.length;
+
+		original.env.advance(60000);
+
+		var restored = run({ end: 'loop', lookahead: 3, sections: [ [ 'a1.ogg', 'a2.ogg', 'b1.ogg', 'b2.ogg' ] ] }, 0);
+		restored.shuffle.stop();
+		restored.sections.length = 0;
+
+		restored.shuffle.restore(state).play();
+		restored.env.advance(60000);
+
+		assert.deepStrictEqual(restored.sections.slice(0, 6), original.sections.slice(played - 1, played + 5));
+	},
+
+	"forbidden transitions are never taken": function () {
+		var forbidden = [ [ 'A1', 'B1' ], [ 'B2', 'A3' ], [ 'A2', 'B3' ] ];
+
+		for (var seed = 1; seed <= 20; seed++) {
+			var names = upcoming(build({
+				seed: seed,
+				sections: [ [ 'a1.ogg', 'a2.ogg', 'a3.ogg' ], [ 'b1.ogg', 'b2.ogg', 'b3.ogg' ] ],
+				forbidden: forbidden,
+			}).shuffle, 18);
+
+			names.forEach(function (name, i) {
+				forbidden.forEach(function (pair) {
+					assert.ok(name !== pair[0] || names[i + 1] !== pair[1], "seed " + seed + ": " + names.join(' '));
+				});
+			});
+
+			// every full cycle still plays each section once
+			[ 0, 6, 12 ].forEach(function (i) {
+				assert.deepStrictEqual(names.slice(i, i + 6).sort(), [ 'A1', 'A2', 'A3', 'B1', 'B2', 'B3' ]);
+			});
+		}
+	},
+
+	"forbidden transitions look ahead to finish the full cycle": function () {
+		// starting with A1 would leave A2 to follow B2
+		for (var seed = 1; seed <= 10; seed++) {
+			var shuffle = build({ seed: seed, forbidden: [ [ 'A1', 'B1' ], [ 'B2', 'A2' ] ] }).shuffle;
+
+			assert.deepStrictEqual(upcoming(shuffle, 4), [ 'A2', 'B1', 'A1', 'B2' ]);
+		}
+	},
+
+	"forbidden transitions are ignored when nothing else can follow": function () {
+		var built = build({
+			sections: [ [ 'a1.ogg' ], [ 'b1.ogg', 'b2.ogg' ] ],
+			forbidden: [ [ 'A1', 'B1' ], [ 'A1', 'B2' ] ],
+		});
+
+		assert.deepStrictEqual(built.warnings, [
+			"SonicShuffle: The forbidden transitions make a full cycle impossible. Some will be ignored during play.",
+		]);
+
+		var names = upcoming(built.shuffle, 8);
+
+		assert.deepStrictEqual(names.filter(function (name, i) { return i % 2 === 0; }), [ 'A1', 'A1', 'A1', 'A1' ]);
+		assert.deepStrictEqual(names.slice(0, 4).sort(), [ 'A1', 'A1', 'B1', 'B2' ]);
+		assert.deepStrictEqual(names.slice(4, 8).sort(), [ 'A1', 'A1', 'B1', 'B2' ]);
+	},
+
+	"a rondo draws its A sections without replacement": function () {
+		var sections = [ [ 'a1.ogg', 'a2.ogg', 'a3.ogg' ], [ 'b1.ogg' ], [ 'c1.ogg' ] ];
+
+		for (var seed = 1; seed <= 10; seed++) {
+			var names = upcoming(build({ seed: seed, sections: sections, form: [ 'A', 'B', 'A', 'C', 'A' ] }).shuffle, 15);
+
+			[ 0, 5, 10 ].forEach(function (i) {
+				var cycle = names.slice(i, i + 5);
+
+				assert.strictEqual(cycle.map(function (name) { return name[0]; }).join(''), 'ABACA');
+				assert.deepStrictEqual([ cycle[0], cycle[2], cycle[4] ].sort(), [ 'A1', 'A2', 'A3' ]);
+			});
+		}
+	},
+
+	"end: 'cycle' ends after the whole form": function () {
+		var result = run({
+			end: 'cycle',
+			sections: [ [ 'a1.ogg', 'a2.ogg', 'a3.ogg' ], [ 'b1.ogg' ], [ 'c1.ogg' ] ],
+			form: [ 'A', 'B', 'A', 'C', 'A' ],
+			finale: 1000,
+		}, 120000);
+
+		assert.strictEqual(result.sections.length, 5);
+		assert.deepStrictEqual(result.events, [ 'finale@43000', 'fullcycle@44000', 'end@44000', 'stop@44000' ]);
+	},
+
+	"upcoming is what plays next": function () {
+		var result = run({ end: 'loop', lookahead: 3, sections: SIX }, 1000);
+		var ahead = upcoming(result.shuffle, 5);
+
+		result.env.advance(60000);
+
+		assert.deepStrictEqual(result.sections.slice(1, 6), ahead);
+	},
+
+	"skip plays the upcoming sections and keeps the full cycle": function () {
+		var result = run({ end: 'loop', sections: SIX }, 1000);
+		var ahead = upcoming(result.shuffle, 3);
+
+		result.shuffle.skip();
+		result.env.advance(1000);
+		result.shuffle.skip();
+		result.env.advance(60000);
+
+		assert.deepStrictEqual(result.sections.slice(1, 4), ahead);
+		assert.deepStrictEqual(result.sections.slice(0, 6).sort(), [ 'A1', 'A2', 'A3', 'B1', 'B2', 'B3' ]);
+	},
+
+	"jumpTo marks the section played and returns the queued ones": function () {
+		var result = run({ end: 'loop', lookahead: 3, sections: SIX }, 1000);
+
+		result.shuffle.jumpTo('B', 2);
+		result.env.advance(60000);
+
+		assert.strictEqual(result.sections[1], 'B3');
+		assert.deepStrictEqual(result.sections.slice(0, 6).sort(), [ 'A1', 'A2', 'A3', 'B1', 'B2', 'B3' ]);
+	},
+
+	"restartCycle returns the abandoned cycle's sections": function () {
+		var result = run({ end: 'loop', lookahead: 3, sections: SIX }, 11000);
+
+		result.shuffle.restartCycle();
+		result.env.advance(60000);
+
+		assert.strictEqual(result.sections[2][0], 'A');
+		assert.deepStrictEqual(result.sections.slice(2, 8).sort(), [ 'A1', 'A2', 'A3', 'B1', 'B2', 'B3' ]);
+	},
+};
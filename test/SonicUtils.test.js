@@ -0,0 +1,100 @@
+"use strict";
+
+var assert = require('assert');
+
+var browser = require('./browser.js');
+
+var SonicUtils = browser.load([ 'SonicUtils.js' ]).SonicUtils;
+
+function draw (rng, n) {
+	var values = [];
+
+	for (var i = 0; i < n; i++) {
+		values.push(rng());
+	}
+
+	return values;
+}
+
+module.exports = {
+	"seeded_random repeats its sequence for the same seed": function () {
+		assert.deepStrictEqual(
+			draw(SonicUtils.seeded_random(42), 20),
+			draw(SonicUtils.seeded_random(42), 20)
+		);
+	},
+
+	"seeded_random differs between seeds": function () {
+		assert.notDeepStrictEqual(
+			draw(SonicUtils.seeded_random(1), 5),
+			draw(SonicUtils.seeded_random(2), 5)
+		);
+	},
+
+	"seeded_random stays within [0, 1)": function () {
+		draw(SonicUtils.seeded_random(7), 1000).forEach(function (x) {
+			assert.ok(x >= 0 && x < 1, x);
+		});
+	},
+
+	"seeded_random hashes string seeds": function () {
+		assert.deepStrictEqual(
+			draw(SonicUtils.seeded_random('eyewire'), 5),
+			draw(SonicUtils.seeded_random('eyewire'), 5)
+		);
+
+		assert.notDeepStrictEqual(
+			draw(SonicUtils.seeded_random('eyewire'), 5),
+			draw(SonicUtils.seeded_random('eyewirf'), 5)
+		);
+	},
+
+	"seeded_random resumes from a saved state": function () {
+		var rng = SonicUtils.seeded_random(3);
+		draw(rng, 10);
+
+		var state = rng.getState();
+		var expected = draw(rng, 10);
+
+		assert.deepStrictEqual(draw(SonicUtils.seeded_random(0).setState(state), 10), expected);
+	},
+
+	"seeded_random matches without Math.imul": function () {
+		var math = {};
+
+		Object.getOwnPropertyNames(Math).forEach(function (key) {
+			if (key !== 'imul') {
+				math[key] = Math[key];
+			}
+		});
+
+		var legacy = browser.load([ 'SonicUtils.js' ], { Math: math }).SonicUtils;
+
+		assert.deepStrictEqual(
+			draw(legacy.seeded_random('eyewire'), 100),
+			draw(SonicUtils.seeded_random('eyewire'), 100)
+		);
+
+		assert.deepStrictEqual(
+			draw(legacy.seeded_random(0xFFFFFFFF), 100),
+			draw(SonicUtils.seeded_random(0xFFFFFFFF), 100)
+		);
+	},
+
+	"random_choice draws every element with a seeded rng": function () {
+		var rng = SonicUtils.seeded_random(5);
+		var seen = {};
+
+		for (var i = 0; i < 200; i++) {
+			seen[SonicUtils.random_choice([ 'a', 'b', 'c' ], rng)] = true;
+		}
+
+		assert.deepStrictEqual(Object.keys(seen).sort(), [ 'a', 'b', 'c' ]);
+	},
+
+	"nvl treats undefined and null as missing": function () {
+		assert.strictEqual(SonicUtils.nvl(undefined, 1), 1);
+		assert.strictEqual(SonicUtils.nvl(null, 1), 1);
+		assert.strictEqual(SonicUtils.nvl(0, 1), 0);
+	},
+};
@@ -0,0 +1,352 @@
+/* audio.js
+ *
+ * Stands in for the browser and howler.js so that the players in js/
+ * can be tested in Node. Timers, the audio clock, and a stub Howl all
+ * run on a fake clock that only moves when the test advances it.
+ *
+ * Usage:
+ *
+ *   var audio = require('./audio.js');
+ *   var env = audio.environment({ 'a1.ogg': 10000 }); // durations in msec
+ *   var shuffle = new env.window.Music.SonicShuffle({ ... });
+ *   shuffle.play();
+ *   env.advance(1000);
+ *   env.played; // [ 'a1.ogg@0', ... ]
+ */
+
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+
+var browser = require('./browser.js');
+
+var DEFAULT_DURATION = 60000;
+
+/* environment
+ *
+ * Optional:
+ *   [0] durations: { url: msec }, others last a minute
+ *
+ * Return: {
+ *   window: the context holding Music, SFX, SonicShuffle, etc,
+ *   advance: fn(msec) runs the timers due within the next msec,
+ *   now: fn() => msec on the fake clock,
+ *   played: [ 'url@msec' ] for every Howl started,
+ * }
+ */
+function environment (durations) {
+	durations = durations || {};
+
+	var now = 0;
+	var timers = [];
+	var nextid = 1;
+	var played = [];
+
+	var setTimer = function (fn, msec, repeat) {
+		var timer = {
+			id: nextid++,
+			at: now + Math.max(msec || 0, 0),
+			msec: Math.max(msec || 1, 1),
+			fn: fn,
+			repeat: repeat,
+		};
+
+		timers.push(timer);
+
+		return timer.id;
+	};
+
+	var clearTimer = function (id) {
+		timers = timers.filter(function (timer) {
+			return timer.id !== id;
+		});
+	};
+
+	var advance = function (msec) {
+		var end = now + msec;
+
+		while (true) {
+			timers.sort(function (a, b) {
+				return a.at - b.at || a.id - b.id;
+			});
+
+			var timer = timers[0];
+
+			if (!timer || timer.at > end) {
+				break;
+			}
+
+			now = timer.at;
+
+			if (timer.repeat) {
+				timer.at += timer.msec;
+			}
+			else {
+				timers.shift();
+			}
+
+			timer.fn();
+		}
+
+		now = end;
+	};
+
+	var window;
+
+	var Howl = function (options) {
+		this.url = options.urls[0];
+		this.state = 'stopped';
+		this.gain = nvl(options.volume, 1);
+		this.muted = false;
+		this.offset = 0; // msec into the audio when last paused or stopped
+		this.started = null; // msec on the clock when play began
+		this.listeners = {};
+		this.timers = {}; // name: timer id
+		this.named = {}; // name: msec, c.f. timer
+		this.fading = null;
+		this.end_timer = null;
+		this.msec = durations[this.url] || DEFAULT_DURATION;
+	};
+
+	Howl.prototype.on = function (event, fn) {
+		var _this = this;
+
+		if (!fn) {
+			(this.listeners[event] || []).slice().forEach(function (listener) {
+				listener.call(_this);
+			});
+
+			return this;
+		}
+
+		this.listeners[event] = (this.listeners[event] || []).concat([ fn ]);
+
+		return this;
+	};
+
+	Howl.prototype.off = function (event, fn) {
+		this.listeners[event] = fn
+			? (this.listeners[event] || []).filter(function (listener) { return listener !== fn; })
+			: [];
+
+		return this;
+	};
+
+	Howl.prototype.ion = function (event, fn) {
+		return this.off(event).on(event, fn);
+	};
+
+	Howl.prototype.one = function (event, fn) {
+		var _this = this;
+
+		var once = function () {
+			_this.off(event, once);
+			fn.apply(_this, arguments);
+		};
+
+		return this.on(event, once);
+	};
+
+	Howl.prototype.duration = function () {
+		return this.msec;
+	};
+
+	Howl.prototype.pos = function (seconds) {
+		if (seconds === undefined) {
+			return (this.state === 'playing' ? this.offset + now - this.started : this.offset) / 1000;
+		}
+
+		var playing = this.state === 'playing';
+
+		this.pause();
+		this.offset = seconds * 1000;
+
+		if (playing) {
+			this.play();
+		}
+
+		return this;
+	};
+
+	Howl.prototype.play = function () {
+		var _this = this;
+
+		if (this.state === 'playing') {
+			return this;
+		}
+
+		this.state = 'playing';
+		this.started = now;
+		played.push(this.url + '@' + now);
+
+		this.end_timer = setTimer(function () {
+			_this.state = 'stopped';
+			_this.offset = 0;
+			_this.clearTimers();
+			_this.on('end');
+		}, this.msec - this.offset);
+
+		Object.keys(this.named).forEach(function (name) {
+			var msec = _this.named[name] - _this.offset;
+
+			if (msec >= 0) {
+				_this.timers[name] = setTimer(function () {
+					_this.on(name);
+				}, msec);
+			}
+		});
+
+		return this.on('play');
+	};
+
+	Howl.prototype.pause = function () {
+		if (this.state !== 'playing') {
+			return this;
+		}
+
+		this.offset += now - this.started;
+		this.state = 'paused';
+		this.clearTimers();
+
+		return this.on('pause');
+	};
+
+	Howl.prototype.stop = function () {
+		this.state = 'stopped';
+		this.offset = 0;
+		this.clearTimers();
+
+		return this.on('stop');
+	};
+
+	Howl.prototype.clearTimers = function () {
+		var _this = this;
+
+		clearTimer(this.end_timer);
+
+		Object.keys(this.timers).forEach(function (name) {
+			clearTimer(_this.timers[name]);
+		});
+
+		this.timers = {};
+	};
+
+	// emits the named event msec into the audio whenever it plays past it
+	Howl.prototype.timer = function (msec, name) {
+		this.named[name || 'timer'] = msec;
+		return this;
+	};
+
+	Howl.prototype.volume = function (vol) {
+		if (vol === undefined) {
+			return this.gain;
+		}
+
+		this.gain = vol;
+		return this;
+	};
+
+	Howl.prototype.mute = function () {
+		this.muted = true;
+		return this;
+	};
+
+	Howl.prototype.unmute = function () {
+		this.muted = false;
+		return this;
+	};
+
+	// jumps to the target volume once msec have passed
+	Howl.prototype.fade = function (args) {
+		var _this = this;
+
+		this.cancelFade();
+
+		var fading = window.Zepto.Deferred();
+		this.fading = fading;
+
+		if (args.from !== undefined && args.from !== null) {
+			this.gain = args.from;
+		}
+
+		var timer = setTimer(function () {
+			_this.gain = args.to;
+			fading.resolve();
+		}, args.msec);
+
+		return fading.fail(function () {
+			clearTimer(timer);
+		}).always(function () {
+			if (_this.fading === fading) {
+				_this.fading = null;
+			}
+		});
+	};
+
+	Howl.prototype.isFading = function () {
+		return !!this.fading;
+	};
+
+	Howl.prototype.cancelFade = function () {
+		if (this.fading) {
+			this.fading.reject();
+		}
+
+		return this;
+	};
+
+	var element = function () {
+		return { style: {}, childNodes: [], appendChild: function () {} };
+	};
+
+	window = browser.load(scripts(), {
+		jQuery: undefined,
+		document: {
+			createElement: element,
+			documentElement: { contains: function () { return false; } },
+			readyState: 'complete',
+			body: element(),
+			addEventListener: function () {},
+		},
+		navigator: { userAgent: '' },
+		getComputedStyle: function () { return {}; },
+		setTimeout: function (fn, msec) { return setTimer(fn, msec, false); },
+		clearTimeout: clearTimer,
+		setInterval: function (fn, msec) { return setTimer(fn, msec, true); },
+		clearInterval: clearTimer,
+		performance: { now: function () { return now; } },
+		Howl: Howl,
+		Howler: {
+			ctx: Object.defineProperty({}, 'currentTime', {
+				get: function () { return now / 1000; },
+			}),
+		},
+	});
+
+	return {
+		window: window,
+		advance: advance,
+		now: function () { return now; },
+		played: played,
+	};
+}
+
+// js/ in the order gulpfile.js bundles it
+function scripts () {
+	var rest = fs.readdirSync(path.join(__dirname, '..', 'js')).filter(function (name) {
+		return /\.js$/.test(name)
+			&& name !== 'zepto-deferred.js'
+			&& name !== 'SonicUtils.js';
+	}).sort();
+
+	return [ 'zepto-deferred.js', 'SonicUtils.js' ].concat(rest);
+}
+
+function nvl (value, fallback) {
+	return value === undefined || value === null ? fallback : value;
+}
+
+module.exports = {
+	environment: environment,
+};
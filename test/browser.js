@@ -0,0 +1,51 @@
+/* browser.js
+ *
+ * Loads the browser scripts in js/ into a fresh context for testing,
+ * the way a page would with <script> tags, and returns their globals.
+ *
+ * Usage:
+ *
+ *   var SonicUtils = require('./browser.js').load([ 'SonicUtils.js' ]).SonicUtils;
+ */
+
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+/* load
+ *
+ * Required:
+ *   [0] files: [ filenames in js/ ] in loading order
+ *
+ * Optional:
+ *   [1] globals: extra properties of window, e.g. { Math: ... }
+ *
+ * Return: the context, which holds the scripts' globals
+ */
+function load (files, globals) {
+	var context = {
+		console: console,
+		jQuery: {},
+	};
+
+	Object.keys(globals || {}).forEach(function (key) {
+		context[key] = globals[key];
+	});
+
+	context.window = context;
+	vm.createContext(context);
+
+	files.forEach(function (file) {
+		var filename = path.join(__dirname, '..', 'js', file);
+
+		vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+	});
+
+	return context;
+}
+
+module.exports = {
+	load: load,
+};
@@ -0,0 +1,83 @@
+"use strict";
+
+var assert = require('assert');
+
+var overlaps = require('../tools/detect-overlaps.js');
+
+// a steady tone, msec long at 1 kHz
+function tone (msec) {
+	var channel = new Float32Array(msec);
+	channel.fill(0.5);
+
+	return {
+		sampleRate: 1000,
+		channels: [ channel ],
+		length: msec,
+		duration: msec,
+	};
+}
+
+module.exports = {
+	"detectOverlap finds where the tail begins": function () {
+		var audio = tone(3000);
+		audio.channels[0].fill(0.01, 2000);
+
+		assert.strictEqual(overlaps.detectOverlap(audio), 2000);
+	},
+
+	"detectOverlap finds a tail longer than the music": function () {
+		var audio = tone(5000);
+		audio.channels[0].fill(0.01, 2000);
+
+		assert.strictEqual(overlaps.detectOverlap(audio), 2000);
+	},
+
+	"detectOverlap measures against the loud passages": function () {
+		// quiet verse, loud chorus, then the tail
+		var audio = tone(6000);
+		audio.channels[0].fill(0.2, 0, 3000);
+		audio.channels[0].fill(0.005, 4000);
+
+		assert.strictEqual(overlaps.detectOverlap(audio), 4000);
+	},
+
+	"detectOverlap snaps to the nearest bar": function () {
+		var audio = tone(3000);
+		audio.channels[0].fill(0.01, 2100);
+
+		// 2 seconds per bar at 120 bpm
+		assert.strictEqual(overlaps.detectOverlap(audio, { bpm: 120 }), 2000);
+	},
+
+	"detectOverlap doesn't snap past the end of the audio": function () {
+		assert.strictEqual(overlaps.detectOverlap(tone(3900), { bpm: 120 }), 2000);
+		assert.strictEqual(overlaps.detectOverlap(tone(1500), { bpm: 120 }), 1500);
+	},
+
+	"stringify puts each row on one line": function () {
+		assert.strictEqual(overlaps.stringify({
+			overlap_intro: 2000,
+			overlaps: [ [ 4138, 2069 ], [ null ], [] ],
+			cues: { A1: [ { at: 1000, name: 'drop' } ] },
+		}), [
+			'{',
+			'  "overlap_intro": 2000,',
+			'  "overlaps": [',
+			'    [ 4138, 2069 ],',
+			'    [ null ],',
+			'    []',
+			'  ],',
+			'  "cues": {',
+			'    "A1": [ { "at": 1000, "name": "drop" } ]',
+			'  }',
+			'}',
+		].join('\n'));
+	},
+
+	"stringify leaves commas inside strings alone": function () {
+		var json = overlaps.stringify({ cues: { A1: [ { at: 1, name: 'a,b' } ] } });
+
+		assert.ok(json.indexOf('"a,b"') !== -1, json);
+		assert.deepStrictEqual(JSON.parse(json).cues.A1[0].name, 'a,b');
+	},
+};
@@ -0,0 +1,92 @@
+"use strict";
+
+var assert = require('assert');
+
+var wav = require('../tools/wav.js');
+var cues = require('../tools/read-cues.js');
+var wavFile = require('./wav-file.js').wavFile;
+
+var FRAMES = [ [ 0, 0.5 ], [ 0.25, -0.5 ], [ -1, 1 ], [ 0.75, 0 ] ];
+
+// as from wav.markers, duration and times in msec
+function marks (duration, points, loops) {
+	return {
+		sampleRate: 1000,
+		duration: duration,
+		cues: points.map(function (point, i) {
+			return { id: i + 1, at: point[0], label: point[1], length: null };
+		}),
+		loops: loops || [],
+	};
+}
+
+module.exports = {
+	"markers reads labeled cues sorted by time": function () {
+		var marks = wav.markers(wavFile({
+			frames: FRAMES.concat(FRAMES, FRAMES),
+			cues: [
+				{ id: 1, sample: 8, label: 'overlap' },
+				{ id: 2, sample: 2, label: 'drop, then rise' },
+				{ id: 3, sample: 5 },
+			],
+		}));
+
+		assert.strictEqual(marks.sampleRate, 1000);
+		assert.strictEqual(marks.duration, 12);
+		assert.deepStrictEqual(marks.cues, [
+			{ id: 2, at: 2, label: 'drop, then rise', length: null },
+			{ id: 3, at: 5, label: null, length: null },
+			{ id: 1, at: 8, label: 'overlap', length: null },
+		]);
+	},
+
+	"markers reads loops with an inclusive end": function () {
+		var marks = wav.markers(wavFile({
+			frames: FRAMES,
+			loops: [ { id: 7, start: 1, end: 2, count: 0 } ],
+		}));
+
+		assert.deepStrictEqual(marks.loops, [ { id: 7, start: 1, end: 3, count: 0 } ]);
+		assert.deepStrictEqual(marks.cues, []);
+	},
+
+	"sectionTimings takes the overlap from an overlap or tail marker": function () {
+		assert.strictEqual(cues.sectionTimings(marks(10000, [ [ 8000.4, 'Overlap' ] ])).overlap, 8000);
+		assert.strictEqual(cues.sectionTimings(marks(10000, [ [ 7000, ' tail ' ] ])).overlap, 7000);
+		assert.strictEqual(cues.sectionTimings(marks(10000, [])).overlap, null);
+	},
+
+	"sectionTimings measures the finale from the end, taking the earliest": function () {
+		var timings = cues.sectionTimings(marks(10000, [ [ 6000, 'finale' ], [ 8000, 'FINALE' ] ]));
+
+		assert.strictEqual(timings.finale, 4000);
+		assert.strictEqual(cues.sectionTimings(marks(10000, [])).finale, null);
+	},
+
+	"sectionTimings falls back to the end of the first loop": function () {
+		var loops = [ { id: 1, start: 0, end: 7500, count: 0 }, { id: 2, start: 0, end: 9000, count: 0 } ];
+
+		assert.strictEqual(cues.sectionTimings(marks(10000, [], loops)).overlap, 7500);
+		assert.strictEqual(cues.sectionTimings(marks(10000, [ [ 8000, 'overlap' ] ], loops)).overlap, 8000);
+	},
+
+	"sectionTimings lists named cues and counts the unlabeled": function () {
+		var timings = cues.sectionTimings(marks(10000, [ [ 2000, 'drop' ], [ 3000, null ], [ 4000, '  ' ], [ 5000.6, 'rise' ] ]));
+
+		assert.deepStrictEqual(timings.cues, [ { at: 2000, name: 'drop' }, { at: 5001, name: 'rise' } ]);
+		assert.strictEqual(timings.unlabeled, 2);
+	},
+
+	"sectionTimings reads the markers of a WAV": function () {
+		var timings = cues.sectionTimings(wav.markers(wavFile({
+			frames: FRAMES.concat(FRAMES, FRAMES),
+			cues: [
+				{ id: 1, sample: 9, label: 'overlap' },
+				{ id: 2, sample: 3, label: 'drop' },
+				{ id: 3, sample: 10, label: 'finale' },
+			],
+		})));
+
+		assert.deepStrictEqual(timings, { overlap: 9, finale: 2, cues: [ { at: 3, name: 'drop' } ], unlabeled: 0 });
+	},
+};
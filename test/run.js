@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/* run.js
+ *
+ * Runs every *.test.js file in this directory with plain
+ * Node and reports the failures. No test framework needed.
+ *
+ * Usage:
+ *
+ *   npm test
+ *   node test/run.js [file.test.js ...]
+ *
+ * A test file exports { "description": function () { ... } } and
+ * signals failure by throwing, e.g. with the assert module.
+ */
+
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+
+function main (argv) {
+	var files = argv.length
+		? argv.map(function (file) { return path.resolve(file); })
+		: fs.readdirSync(__dirname).filter(function (name) {
+			return /\.test\.js$/.test(name);
+		}).sort().map(function (name) {
+			return path.join(__dirname, name);
+		});
+
+	var passed = 0;
+	var failures = [];
+
+	files.forEach(function (file) {
+		var tests = require(file);
+
+		Object.keys(tests).forEach(function (name) {
+			var label = path.basename(file) + ": " + name;
+
+			try {
+				tests[name]();
+				passed++;
+			}
+			catch (e) {
+				failures.push(label);
+				console.error("FAIL " + label);
+				console.error("  " + (e.stack || e.message).split('\n').join('\n  '));
+			}
+		});
+	});
+
+	console.log(passed + " passed, " + failures.length + " failed");
+
+	return failures.length ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,123 @@
+/* wav-file.js
+ *
+ * Builds WAV files in memory for testing the tools that read them.
+ *
+ * Usage:
+ *
+ *   var wavFile = require('./wav-file.js').wavFile;
+ *   var buffer = wavFile({ frames: [ [ 0, 0.5 ], [ 0.25, -0.5 ] ] });
+ */
+
+"use strict";
+
+function chunk (id, body) {
+	var header = Buffer.alloc(8);
+	header.write(id, 0, 'ascii');
+	header.writeUInt32LE(body.length, 4);
+
+	var padding = Buffer.alloc(body.length % 2);
+
+	return Buffer.concat([ header, body, padding ]);
+}
+
+/* wavFile
+ *
+ * Builds a WAV file in memory.
+ *
+ * Required:
+ *   [0] args: {
+ *     format: 1 (PCM) or 3 (float), default 1
+ *     bits: bits per sample, default 16
+ *     sampleRate: Hz, default 1000
+ *     frames: [ [ sample for each channel in [-1, 1] ] ]
+ *     cues: [ { id, sample, label } ]
+ *     loops: [ { id, start, end, count } ] in samples
+ *   }
+ *
+ * Return: Buffer
+ */
+function wavFile (args) {
+	var format = args.format || 1;
+	var bits = args.bits || 16;
+	var sampleRate = args.sampleRate || 1000;
+	var channels = args.frames[0].length;
+	var bytes = bits / 8;
+
+	var fmt = Buffer.alloc(16);
+	fmt.writeUInt16LE(format, 0);
+	fmt.writeUInt16LE(channels, 2);
+	fmt.writeUInt32LE(sampleRate, 4);
+	fmt.writeUInt32LE(sampleRate * channels * bytes, 8);
+	fmt.writeUInt16LE(channels * bytes, 12);
+	fmt.writeUInt16LE(bits, 14);
+
+	var data = Buffer.alloc(args.frames.length * channels * bytes);
+
+	args.frames.forEach(function (frame, i) {
+		frame.forEach(function (x, c) {
+			var o = (i * channels + c) * bytes;
+
+			if (format === 3) {
+				data.writeFloatLE(x, o);
+			}
+			else if (bits === 8) {
+				data.writeUInt8(Math.round(x * 127) + 128, o);
+			}
+			else {
+				data.writeIntLE(Math.round(x * (Math.pow(2, bits - 1) - 1)), o, bytes);
+			}
+		});
+	});
+
+	var body = [ chunk('fmt ', fmt), chunk('data', data) ];
+
+	if (args.cues) {
+		var cue = Buffer.alloc(4 + 24 * args.cues.length);
+		cue.writeUInt32LE(args.cues.length, 0);
+
+		var labels = [ Buffer.from('adtl', 'ascii') ];
+
+		args.cues.forEach(function (point, i) {
+			cue.writeUInt32LE(point.id, 4 + i * 24);
+			cue.write('data', 4 + i * 24 + 8, 'ascii');
+			cue.writeUInt32LE(point.sample, 4 + i * 24 + 20);
+
+			if (point.label) {
+				var id = Buffer.alloc(4);
+				id.writeUInt32LE(point.id, 0);
+
+				labels.push(chunk('labl', Buffer.concat([ id, Buffer.from(point.label + '\0', 'utf8') ])));
+			}
+		});
+
+		body.push(chunk('cue ', cue), chunk('LIST', Buffer.concat(labels)));
+	}
+
+	if (args.loops) {
+		var smpl = Buffer.alloc(36 + 24 * args.loops.length);
+		smpl.writeUInt32LE(args.loops.length, 28);
+
+		args.loops.forEach(function (loop, i) {
+			var o = 36 + i * 24;
+
+			smpl.writeUInt32LE(loop.id, o);
+			smpl.writeUInt32LE(loop.start, o + 8);
+			smpl.writeUInt32LE(loop.end, o + 12);
+			smpl.writeUInt32LE(loop.count, o + 20);
+		});
+
+		body.push(chunk('smpl', smpl));
+	}
+
+	var riff = Buffer.concat(body);
+	var header = Buffer.alloc(12);
+	header.write('RIFF', 0, 'ascii');
+	header.writeUInt32LE(riff.length + 4, 4);
+	header.write('WAVE', 8, 'ascii');
+
+	return Buffer.concat([ header, riff ]);
+}
+
+module.exports = {
+	wavFile: wavFile,
+};
@@ -0,0 +1,63 @@
+"use strict";
+
+var assert = require('assert');
+
+var wav = require('../tools/wav.js');
+var wavFile = require('./wav-file.js').wavFile;
+
+function near (actual, expected, tolerance) {
+	assert.ok(Math.abs(actual - expected) <= tolerance, actual + " is not within " + tolerance + " of " + expected);
+}
+
+var FRAMES = [ [ 0, 0.5 ], [ 0.25, -0.5 ], [ -1, 1 ], [ 0.75, 0 ] ];
+
+module.exports = {
+	"chunks lists the chunks after the header": function () {
+		var list = wav.chunks(wavFile({ frames: FRAMES }));
+
+		assert.deepStrictEqual(list.map(function (c) { return c.id; }), [ 'fmt ', 'data' ]);
+		assert.strictEqual(list[1].size, 16);
+	},
+
+	"chunks rejects files that aren't WAVs": function () {
+		assert.throws(function () {
+			wav.chunks(Buffer.from('RIFF\0\0\0\0AVI LIST', 'ascii'));
+		}, /Not a RIFF WAVE file/);
+	},
+
+	"decode reads 16 bit PCM": function () {
+		var audio = wav.decode(wavFile({ frames: FRAMES, sampleRate: 2000 }));
+
+		assert.strictEqual(audio.sampleRate, 2000);
+		assert.strictEqual(audio.length, 4);
+		assert.strictEqual(audio.duration, 2);
+		assert.strictEqual(audio.channels.length, 2);
+
+		FRAMES.forEach(function (frame, i) {
+			near(audio.channels[0][i], frame[0], 1 / 16384);
+			near(audio.channels[1][i], frame[1], 1 / 16384);
+		});
+	},
+
+	"decode reads 8, 24, and 32 bit PCM and float": function () {
+		[
+			{ bits: 8, tolerance: 1 / 64 },
+			{ bits: 24, tolerance: 1e-6 },
+			{ bits: 32, tolerance: 1e-6 },
+			{ format: 3, bits: 32, tolerance: 0 },
+		].forEach(function (test) {
+			var audio = wav.decode(wavFile({ format: test.format, bits: test.bits, frames: FRAMES }));
+
+			FRAMES.forEach(function (frame, i) {
+				near(audio.channels[0][i], frame[0], test.tolerance);
+				near(audio.channels[1][i], frame[1], test.tolerance);
+			});
+		});
+	},
+
+	"decode rejects unsupported formats": function () {
+		assert.throws(function () {
+			wav.decode(wavFile({ format: 2, frames: FRAMES }));
+		}, /Unsupported WAV format 2/);
+	},
+};
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/* detect-overlaps.js
+ *
+ * Estimates where each section's musical content ends and its
+ * reverb tail begins, which is when Music.SonicShuffle should start
+ * the next section. Prints the timings as JSON ready to paste into
+ * a manifest (c.f. Music.loadManifest) or SonicShuffle's arguments.
+ *
+ * Usage:
+ *
+ *   node tools/detect-overlaps.js [options] <directory or .wav files>
+ *
+ * Files are named as shuffleFactory expects: intro.wav, a1.wav, a2.wav, ... b1.wav, ...
+ *
+ * Options:
+ *
+ *   --threshold dB      How far below the section's loud passages the
+ *                       tail is, default -12. Lower it if sections end quietly.
+ *   --window msec       Length of the loudness measurements, default 50
+ *   --bpm n             Snap the estimates to the nearest bar within the file
+ *   --beats-per-bar n   Default 4
+ *   --bars              Print bars instead of msec (requires --bpm)
+ *
+ * Example output:
+ *
+ *   {
+ *     "overlap_intro": 33103,
+ *     "overlaps": [ [ 49655, 33103, 49655 ], ... ]
+ *   }
+ */
+
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+
+var wav = require('./wav.js');
+
+var REFERENCE_PERCENTILE = 0.9; // of the windows' loudness, c.f. detectOverlap
+
+var DEFAULTS = {
+	threshold: -12,
+	window: 50,
+	bpm: null,
+	beatsPerBar: 4,
+	bars: false,
+};
+
+/* envelope
+ *
+ * Measures the loudness of audio over consecutive windows,
+ * mixing the channels together.
+ *
+ * Required:
+ *   [0] audio: from wav.decode
+ *   [1] msec: window length
+ *
+ * Return: [ dBFS for each window ]
+ */
+function envelope (audio, msec) {
+	var size = Math.max(1, Math.round(audio.sampleRate * msec / 1000));
+	var levels = [];
+
+	for (var start = 0; start < audio.length; start += size) {
+		var end = Math.min(start + size, audio.length);
+		var sum = 0;
+
+		audio.channels.forEach(function (channel) {
+			for (var i = start; i < end; i++) {
+				sum += channel[i] * channel[i];
+			}
+		});
+
+		var rms = Math.sqrt(sum / ((end - start) * audio.channels.length));
+
+		levels.push(rms > 0 ? 20 * Math.log10(rms) : -Infinity);
+	}
+
+	return levels;
+}
+
+/* detectOverlap
+ *
+ * Required:
+ *   [0] audio: from wav.decode
+ *
+ * Optional:
+ *   [1] options: { threshold, window, bpm, beatsPerBar } as on the command line
+ *
+ * Return: msec from the beginning of the section to the start of its tail
+ */
+function detectOverlap (audio, options) {
+	options = merge(DEFAULTS, options);
+
+	var levels = envelope(audio, options.window);
+
+	// The loud passages stand in for how loud the music is. A median would
+	// land in the tail of short sections with long reverb and find none.
+	var audible = levels.filter(function (db) { return db > -60; }).sort(function (a, b) { return a - b; });
+
+	if (audible.length === 0) {
+		return 0;
+	}
+
+	var loud = audible[Math.floor((audible.length - 1) * REFERENCE_PERCENTILE)];
+	var cutoff = loud + options.threshold;
+
+	var last = levels.length - 1;
+	while (last > 0 && levels[last] < cutoff) {
+		last--;
+	}
+
+	var overlap = Math.min((last + 1) * options.window, audio.duration);
+
+	if (options.bpm) {
+		var bar = barLength(options.bpm, options.beatsPerBar);
+		var bars = Math.max(1, Math.round(overlap / bar));
+
+		// rounding up mustn't pass the end of the audio
+		if (bars * bar > audio.duration) {
+			bars = Math.max(1, Math.floor(audio.duration / bar));
+		}
+
+		overlap = Math.min(bars * bar, audio.duration);
+	}
+
+	return overlap;
+}
+
+// msec per bar
+function barLength (bpm, beatsPerBar) {
+	return beatsPerBar * 60000 / bpm;
+}
+
+/* sectionFiles
+ *
+ * Required:
+ *   [0] inputs: [ directories or .wav files ]
+ *
+ * Return: { intro: filename or null, sections: [ [ filename or null ] ] }
+ */
+function sectionFiles (inputs) {
+	var files = [];
+
+	inputs.forEach(function (input) {
+		if (fs.statSync(input).isDirectory()) {
+			fs.readdirSync(input).sort().forEach(function (name) {
+				if (/\.wav$/i.test(name)) {
+					files.push(path.join(input, name));
+				}
+			});
+		}
+		else {
+			files.push(input);
+		}
+	});
+
+	var found = { intro: null, sections: [] };
+
+	files.forEach(function (file) {
+		var name = path.basename(file);
+		var match = name.match(/^([a-z])(\d+)\.wav$/i);
+
+		if (/^intro\.wav$/i.test(name)) {
+			found.intro = file;
+		}
+		else if (match) {
+			var i = match[1].toLowerCase().charCodeAt(0) - 'a'.charCodeAt(0);
+			var j = parseInt(match[2], 10) - 1;
+
+			while (found.sections.length <= i) {
+				found.sections.push([]);
+			}
+
+			while (found.sections[i].length <= j) {
+				found.sections[i].push(null);
+			}
+
+			found.sections[i][j] = file;
+		}
+		else {
+			console.error("Skipping " + file + ", not named like intro.wav or a1.wav");
+		}
+	});
+
+	return found;
+}
+
+function parseArgs (argv) {
+	var options = merge(DEFAULTS, {});
+	var inputs = [];
+
+	for (var i = 0; i < argv.length; i++) {
+		var arg = argv[i];
+
+		if (arg === '--help' || arg === '-h') {
+			options.help = true;
+		}
+		else if (arg === '--bars') {
+			options.bars = true;
+		}
+		else if (arg === '--threshold' || arg === '--window' || arg === '--bpm' || arg === '--beats-per-bar') {
+			var value = parseFloat(argv[++i]);
+
+			if (isNaN(value)) {
+				throw new Error(arg + " expects a number.");
+			}
+
+			options[arg === '--beats-per-bar' ? 'beatsPerBar' : arg.slice(2)] = value;
+		}
+		else if (/^--/.test(arg)) {
+			throw new Error("Unknown option " + arg);
+		}
+		else {
+			inputs.push(arg);
+		}
+	}
+
+	if (options.bars && !options.bpm) {
+		throw new Error("--bars requires --bpm");
+	}
+
+	options.inputs = inputs;
+
+	return options;
+}
+
+function merge (defaults, options) {
+	var merged = {};
+
+	Object.keys(defaults).forEach(function (key) {
+		merged[key] = defaults[key];
+	});
+
+	Object.keys(options || {}).forEach(function (key) {
+		if (options[key] !== undefined && options[key] !== null) {
+			merged[key] = options[key];
+		}
+	});
+
+	return merged;
+}
+
+function main (argv) {
+	var options = parseArgs(argv);
+
+	if (options.help || options.inputs.length === 0) {
+		console.error("Usage: node tools/detect-overlaps.js [--threshold dB] [--window msec] [--bpm n] [--beats-per-bar n] [--bars] <directory or .wav files>");
+		return options.help ? 0 : 1;
+	}
+
+	var files = sectionFiles(options.inputs);
+
+	var measure = function (file) {
+		if (!file) {
+			return null;
+		}
+
+		var audio = wav.read(file);
+		var overlap = detectOverlap(audio, options);
+
+		console.error(path.basename(file) + ": tail begins at " + Math.round(overlap) + " of " + Math.round(audio.duration) + " msec");
+
+		return options.bars
+			? Math.round(overlap / barLength(options.bpm, options.beatsPerBar) * 100) / 100
+			: Math.round(overlap);
+	};
+
+	var result = {};
+
+	if (files.intro) {
+		result[options.bars ? 'bars_intro' : 'overlap_intro'] = measure(files.intro);
+	}
+
+	result[options.bars ? 'bars' : 'overlaps'] = files.sections.map(function (sset) {
+		return sset.map(measure);
+	});
+
+	console.log(stringify(result));
+
+	return 0;
+}
+
+// JSON with one row per section set, e.g. [ 49655, 33103, 49655 ]
+function stringify (result) {
+	return format(result, '');
+}
+
+// Like JSON.stringify(value, null, 2) but keeps rows of plain values on one line
+function format (value, indent) {
+	if (value === null || typeof value !== 'object') {
+		return JSON.stringify(value);
+	}
+
+	var isArray = Array.isArray(value);
+	var keys = Object.keys(value);
+	var open = isArray ? '[' : '{';
+	var close = isArray ? ']' : '}';
+
+	if (keys.length === 0) {
+		return open + close;
+	}
+
+	var entry = function (key, inner) {
+		return (isArray ? '' : JSON.stringify(key) + ': ') + format(value[key], inner);
+	};
+
+	if (keys.every(function (key) { return isRow(value[key], !isArray); })) {
+		return open + ' ' + keys.map(function (key) { return entry(key, ''); }).join(', ') + ' ' + close;
+	}
+
+	var inner = indent + '  ';
+
+	return open + '\n'
+		+ keys.map(function (key) { return inner + entry(key, inner); }).join(',\n')
+		+ '\n' + indent + close;
+}
+
+// plain values, or within an array, objects of plain values such as cues
+function isRow (value, plain) {
+	if (value === null || typeof value !== 'object') {
+		return true;
+	}
+
+	return !plain && !Array.isArray(value) && Object.keys(value).every(function (key) {
+		return isRow(value[key], true);
+	});
+}
+
+module.exports = {
+	envelope: envelope,
+	detectOverlap: detectOverlap,
+	sectionFiles: sectionFiles,
+	stringify: stringify,
+};
+
+if (require.main === module) {
+	try {
+		process.exitCode = main(process.argv.slice(2));
+	}
+	catch (e) {
+		console.error(e.message);
+		process.exitCode = 1;
+	}
+}
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/* read-cues.js
+ *
+ * Turns the markers composers place in their DAW, exported as WAV
+ * 'cue ' and 'smpl' chunks, into Music.SonicShuffle timings. Prints
+ * them as JSON ready to paste into a manifest (c.f. Music.loadManifest).
+ *
+ * Usage:
+ *
+ *   node tools/read-cues.js <directory or .wav files>
+ *
+ * Files are named as shuffleFactory expects: intro.wav, a1.wav, a2.wav, ... b1.wav, ...
+ *
+ * Markers are interpreted by their label (case insensitive):
+ *
+ *   overlap or tail: where the next section begins (overlaps, overlap_intro).
+ *                    A section without one uses the end of its first loop, if any.
+ *   finale:          when the finale event fires. SonicShuffle takes a single
+ *                    finale, measured from the end, so the earliest is used.
+ *   anything else:   a named cue, listed under cues by section
+ *
+ * Example output:
+ *
+ *   {
+ *     "overlap_intro": 33103,
+ *     "overlaps": [ [ 49655, 33103, 49655 ], ... ],
+ *     "finale": 4000,
+ *     "cues": {
+ *       "A2": [ { "at": 12000, "name": "drop" } ]
+ *     }
+ *   }
+ */
+
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+
+var wav = require('./wav.js');
+var overlaps = require('./detect-overlaps.js');
+
+/* sectionTimings
+ *
+ * Required:
+ *   [0] marks: from wav.markers
+ *
+ * Return: {
+ *   overlap: msec or null,
+ *   finale: msec before the end or null,
+ *   cues: [ { at: msec, name } ],
+ *   unlabeled: number of cue points without a label,
+ * }
+ */
+function sectionTimings (marks) {
+	var timings = {
+		overlap: null,
+		finale: null,
+		cues: [],
+		unlabeled: 0,
+	};
+
+	marks.cues.forEach(function (cue) {
+		var label = (cue.label || '').trim();
+
+		if (!label) {
+			timings.unlabeled++;
+		}
+		else if (/^(overlap|tail)$/i.test(label)) {
+			timings.overlap = Math.round(cue.at);
+		}
+		else if (/^finale$/i.test(label)) {
+			// the earliest, as with the finales of different sections (c.f. main)
+			var before = Math.round(Math.max(marks.duration - cue.at, 0));
+			timings.finale = Math.max(timings.finale || 0, before);
+		}
+		else {
+			timings.cues.push({
+				at: Math.round(cue.at),
+				name: label,
+			});
+		}
+	});
+
+	if (timings.overlap === null && marks.loops.length) {
+		timings.overlap = Math.round(marks.loops[0].end);
+	}
+
+	return timings;
+}
+
+function main (argv) {
+	var inputs = argv.filter(function (arg) { return !/^-/.test(arg); });
+	var help = argv.indexOf('--help') !== -1 || argv.indexOf('-h') !== -1;
+
+	if (help || inputs.length === 0) {
+		console.error("Usage: node tools/read-cues.js <directory or .wav files>");
+		return help ? 0 : 1;
+	}
+
+	var files = overlaps.sectionFiles(inputs);
+
+	var result = {};
+	var cues = {};
+	var finales = [];
+
+	var measure = function (file, name) {
+		if (!file) {
+			return null;
+		}
+
+		var timings = sectionTimings(
+			wav.markers(fs.readFileSync(file))
+		);
+
+		if (timings.unlabeled) {
+			console.error(path.basename(file) + ": skipping " + timings.unlabeled + " unlabeled marker(s)");
+		}
+
+		if (timings.overlap === null) {
+			console.error(path.basename(file) + ": no overlap marker, the next section will begin at the end");
+		}
+
+		if (timings.finale !== null) {
+			finales.push(timings.finale);
+		}
+
+		if (timings.cues.length) {
+			cues[name] = timings.cues;
+		}
+
+		return timings.overlap;
+	};
+
+	if (files.intro) {
+		result.overlap_intro = measure(files.intro, 'intro');
+	}
+
+	result.overlaps = files.sections.map(function (sset, i) {
+		return sset.map(function (file, j) {
+			return measure(file, String.fromCharCode('A'.charCodeAt(0) + i) + (j + 1));
+		});
+	});
+
+	if (finales.length) {
+		result.finale = Math.max.apply(Math, finales);
+
+		if (Math.min.apply(Math, finales) !== result.finale) {
+			console.error("The finale markers differ between sections, using the earliest warning: " + result.finale + " msec before the end");
+		}
+	}
+
+	if (Object.keys(cues).length) {
+		result.cues = cues;
+	}
+
+	console.log(overlaps.stringify(result));
+
+	return 0;
+}
+
+module.exports = {
+	sectionTimings: sectionTimings,
+};
+
+if (require.main === module) {
+	try {
+		process.exitCode = main(process.argv.slice(2));
+	}
+	catch (e) {
+		console.error(e.message);
+		process.exitCode = 1;
+	}
+}
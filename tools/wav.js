@@ -0,0 +1,315 @@
+/* wav.js
+ *
+ * A small WAV decoder for the offline tools. Handles integer PCM
+ * (8, 16, 24, and 32 bit), IEEE float (32 and 64 bit), and
+ * WAVE_FORMAT_EXTENSIBLE files wrapping either.
+ *
+ * Usage:
+ *
+ *   var wav = require('./wav.js');
+ *   var audio = wav.read('a1.wav');
+ *   audio.sampleRate, audio.channels[0][i], ...
+ *
+ *   var marks = wav.markers(fs.readFileSync('a1.wav'));
+ *   marks.cues[0].at, marks.cues[0].label, ...
+ */
+
+"use strict";
+
+var fs = require('fs');
+
+var FORMAT_PCM = 1;
+var FORMAT_FLOAT = 3;
+var FORMAT_EXTENSIBLE = 0xFFFE;
+
+/* chunks
+ *
+ * Lists the chunks of a RIFF WAVE file.
+ *
+ * Required:
+ *   [0] buffer: Buffer holding the whole file
+ *
+ * Return: [ { id: 'fmt ', offset: start of the body, size: bytes }, ... ]
+ */
+function chunks (buffer) {
+	if (buffer.length < 12
+		|| buffer.toString('ascii', 0, 4) !== 'RIFF'
+		|| buffer.toString('ascii', 8, 12) !== 'WAVE') {
+
+		throw new Error("Not a RIFF WAVE file.");
+	}
+
+	var list = [];
+	var offset = 12;
+
+	while (offset + 8 <= buffer.length) {
+		var id = buffer.toString('ascii', offset, offset + 4);
+		var size = buffer.readUInt32LE(offset + 4);
+
+		list.push({
+			id: id,
+			offset: offset + 8,
+			size: Math.min(size, buffer.length - offset - 8), // tolerate truncated files
+		});
+
+		offset += 8 + size + (size % 2); // chunks are word aligned
+	}
+
+	return list;
+}
+
+/* format
+ *
+ * Required:
+ *   [0] buffer
+ *   [1] chunk: the 'fmt ' chunk from chunks
+ *
+ * Return: { format: 1 (PCM) or 3 (float), numChannels, sampleRate, bitsPerSample, blockAlign }
+ */
+function format (buffer, chunk) {
+	var o = chunk.offset;
+
+	var fmt = {
+		format: buffer.readUInt16LE(o),
+		numChannels: buffer.readUInt16LE(o + 2),
+		sampleRate: buffer.readUInt32LE(o + 4),
+		blockAlign: buffer.readUInt16LE(o + 12),
+		bitsPerSample: buffer.readUInt16LE(o + 14),
+	};
+
+	// the real format is the first two bytes of the subformat GUID
+	if (fmt.format === FORMAT_EXTENSIBLE && chunk.size >= 26) {
+		fmt.format = buffer.readUInt16LE(o + 24);
+	}
+
+	return fmt;
+}
+
+/* decode
+ *
+ * Required:
+ *   [0] buffer: Buffer holding a WAV file
+ *
+ * Return: {
+ *   sampleRate: Hz,
+ *   channels: [ Float32Array in [-1, 1] for each channel ],
+ *   length: samples per channel,
+ *   duration: msec,
+ *   chunks: as in chunks, for reading the rest of the metadata
+ * }
+ */
+function decode (buffer) {
+	var list = chunks(buffer);
+
+	var fmtchunk = find(list, 'fmt ');
+	var datachunk = find(list, 'data');
+
+	if (!fmtchunk) {
+		throw new Error("Missing the fmt chunk.");
+	}
+	else if (!datachunk) {
+		throw new Error("Missing the data chunk.");
+	}
+
+	var fmt = format(buffer, fmtchunk);
+	var read = sampleReader(buffer, fmt);
+
+	var length = Math.floor(datachunk.size / fmt.blockAlign);
+	var bytes = fmt.bitsPerSample / 8;
+
+	var channels = [];
+	for (var c = 0; c < fmt.numChannels; c++) {
+		channels.push(new Float32Array(length));
+	}
+
+	for (var i = 0; i < length; i++) {
+		var frame = datachunk.offset + i * fmt.blockAlign;
+
+		for (c = 0; c < fmt.numChannels; c++) {
+			channels[c][i] = read(frame + c * bytes);
+		}
+	}
+
+	return {
+		sampleRate: fmt.sampleRate,
+		channels: channels,
+		length: length,
+		duration: length / fmt.sampleRate * 1000,
+		chunks: list,
+	};
+}
+
+/* markers
+ *
+ * Reads the markers a DAW leaves in a WAV file: cue points from the
+ * 'cue ' chunk, named by any 'labl' entries of a LIST 'adtl' chunk,
+ * and loops from the 'smpl' chunk. The audio itself isn't decoded.
+ *
+ * Required:
+ *   [0] buffer: Buffer holding a WAV file
+ *
+ * Return: {
+ *   sampleRate: Hz,
+ *   duration: msec,
+ *   cues: [ { id, at: msec, label: string or null, length: msec or null } ] sorted by at,
+ *   loops: [ { id, start: msec, end: msec, count: 0 for infinite } ],
+ * }
+ */
+function markers (buffer) {
+	var list = chunks(buffer);
+
+	var fmtchunk = find(list, 'fmt ');
+	if (!fmtchunk) {
+		throw new Error("Missing the fmt chunk.");
+	}
+
+	var fmt = format(buffer, fmtchunk);
+	var datachunk = find(list, 'data');
+
+	var msec = function (samples) {
+		return samples / fmt.sampleRate * 1000;
+	};
+
+	var cues = {};
+
+	list.filter(function (chunk) { return chunk.id === 'cue '; }).forEach(function (chunk) {
+		var count = buffer.readUInt32LE(chunk.offset);
+
+		for (var i = 0; i < count; i++) {
+			var o = chunk.offset + 4 + i * 24;
+
+			if (o + 24 > chunk.offset + chunk.size) {
+				break;
+			}
+
+			var id = buffer.readUInt32LE(o);
+
+			cues[id] = {
+				id: id,
+				at: msec(buffer.readUInt32LE(o + 20)), // sample offset
+				label: null,
+				length: null,
+			};
+		}
+	});
+
+	list.filter(function (chunk) { 
+		return chunk.id === 'LIST' && buffer.toString('ascii', chunk.offset, chunk.offset + 4) === 'adtl';
+	}).forEach(function (chunk) {
+		var end = chunk.offset + chunk.size;
+		var o = chunk.offset + 4;
+
+		while (o + 12 <= end) {
+			var id = buffer.toString('ascii', o, o + 4);
+			var size = buffer.readUInt32LE(o + 4);
+			var cue = cues[buffer.readUInt32LE(o + 8)];
+
+			if (cue && id === 'labl') {
+				cue.label = zstring(buffer, o + 12, Math.min(o + 8 + size, end));
+			}
+			else if (cue && id === 'ltxt' && size >= 8) {
+				cue.length = msec(buffer.readUInt32LE(o + 12));
+			}
+
+			o += 8 + size + (size % 2);
+		}
+	});
+
+	var loops = [];
+
+	list.filter(function (chunk) { return chunk.id === 'smpl' && chunk.size >= 36; }).forEach(function (chunk) {
+		var count = buffer.readUInt32LE(chunk.offset + 28);
+		var extra = buffer.readUInt32LE(chunk.offset + 32);
+
+		for (var i = 0; i < count; i++) {
+			var o = chunk.offset + 36 + i * 24;
+
+			if (o + 24 > chunk.offset + chunk.size - extra) {
+				break;
+			}
+
+			loops.push({
+				id: buffer.readUInt32LE(o),
+				start: msec(buffer.readUInt32LE(o + 8)),
+				end: msec(buffer.readUInt32LE(o + 12) + 1), // the end sample is played
+				count: buffer.readUInt32LE(o + 20),
+			});
+		}
+	});
+
+	return {
+		sampleRate: fmt.sampleRate,
+		duration: datachunk ? msec(Math.floor(datachunk.size / fmt.blockAlign)) : 0,
+		cues: Object.keys(cues).map(function (id) { 
+			return cues[id]; 
+		}).sort(function (a, b) { 
+			return a.at - b.at; 
+		}),
+		loops: loops,
+	};
+}
+
+/* read
+ *
+ * Required:
+ *   [0] filename
+ *
+ * Return: same as decode
+ */
+function read (filename) {
+	return decode(fs.readFileSync(filename));
+}
+
+function find (list, id) {
+	for (var i = 0; i < list.length; i++) {
+		if (list[i].id === id) {
+			return list[i];
+		}
+	}
+
+	return null;
+}
+
+// Reads a NUL terminated string
+function zstring (buffer, start, end) {
+	var nul = buffer.indexOf(0, start);
+
+	return buffer.toString('utf8', start, nul === -1 || nul > end ? end : nul);
+}
+
+// Return: function (offset) that reads one sample scaled to [-1, 1]
+function sampleReader (buffer, fmt) {
+	var bits = fmt.bitsPerSample;
+
+	if (fmt.format === FORMAT_FLOAT) {
+		if (bits === 32) {
+			return function (o) { return buffer.readFloatLE(o); };
+		}
+		else if (bits === 64) {
+			return function (o) { return buffer.readDoubleLE(o); };
+		}
+	}
+	else if (fmt.format === FORMAT_PCM) {
+		if (bits === 8) { // unsigned
+			return function (o) { return (buffer.readUInt8(o) - 128) / 128; };
+		}
+		else if (bits === 16) {
+			return function (o) { return buffer.readInt16LE(o) / 32768; };
+		}
+		else if (bits === 24) {
+			return function (o) { return buffer.readIntLE(o, 3) / 8388608; };
+		}
+		else if (bits === 32) {
+			return function (o) { return buffer.readInt32LE(o) / 2147483648; };
+		}
+	}
+
+	throw new Error("Unsupported WAV format " + fmt.format + " at " + bits + " bits per sample.");
+}
+
+module.exports = {
+	chunks: chunks,
+	decode: decode,
+	markers: markers,
+	read: read,
+};